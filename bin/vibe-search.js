@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// vibe-search CLI: search files, globs or stdin with a natural-language query.
+// Contract:
+//   vibe-search [options] <query> [file | glob | - ...]
+//   - every file is one corpus document (its id is the path, "-" for stdin); with no files (or "-") the corpus is read from stdin;
+//   - globs support *, ? and ** (quote them to stop the shell expanding them; as in the shell, wildcards skip dotfiles
+//     and dot-directories unless the pattern segment starts with ".", and ** skips node_modules);
+//   - answers go to stdout as plain lines (default), one JSON document (--format json) or JSON lines (--format jsonl);
+//     lines and jsonl are printed as the model writes them; in lines format, --mode documents prints file paths;
+//   - --dry answers with the mode's local matcher and needs no API key;
+//   - API key: GEMINI_API_KEY | GOOGLE_API_KEY | GOOGLE_GENAI_API_KEY | API_KEY (OPENAI_API_KEY with --provider openai),
+//     also read from ./.env;
+//   - exit code 0 when something was found, 1 when nothing was, 2 on usage or upstream errors (like grep).
+
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { searchStream, getMode, listModes, localSearch, createGeminiProvider, createOpenAIProvider, VibeSearchError } from "../src/index.js";
+
+const FORMATS = ["lines", "json", "jsonl"];
+const GLOB_CHARS = /[*?]/;
+const SKIPPED_DIRS = new Set(["node_modules"]);
+
+const HELP = `Usage: vibe-search [options] <query> [file | glob | - ...]
+
+Searches the given files (or stdin) with an LLM and prints the answers.
+
+Options:
+  -m, --mode <name>        search mode: ${listModes().join(", ")} (default url)
+  -f, --format <format>    lines | json | jsonl (default lines)
+      --model <name>       model name (default: the provider's default)
+      --max-tokens <n>     max output tokens per model call (default 2048)
+      --provider <name>    gemini | openai (default gemini)
+      --base-url <url>     OpenAI-compatible endpoint for --provider openai
+      --dry                no model call: answer with the local matcher
+  -i, --ignore-case        local matcher: case-insensitive
+  -w, --whole-word         local matcher: whole words only
+      --fuzzy <n>          local matcher: max edit distance per word
+  -h, --help               show this help
+  -v, --version            show the version
+
+Examples:
+  vibe-search "links about Node.js" notes/*.md
+  cat page.html | vibe-search --format jsonl "pricing pages"
+  vibe-search --dry --mode text -i "strawberry" "docs/**/*.txt"
+  vibe-search --mode documents "notes about billing disputes" "notes/**/*.md"`;
+
+class UsageError extends VibeSearchError {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// As in the shell, a wildcard never matches the leading "." of a name (.env, .git/): only a pattern segment
+// that itself starts with "." does
+function globToRegExp(glob) {
+  const NAME = "(?!\\.)[^/]*";
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    const segmentStart = i === 0 || glob[i - 1] === "/";
+    if (c === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      re += slash ? `(?:${NAME}/)*` : `${NAME}(?:/${NAME})*`;
+      i += slash ? 2 : 1;
+    } else if (c === "*") re += segmentStart ? NAME : "[^/]*";
+    else if (c === "?") re += segmentStart ? "[^/.]" : "[^/]";
+    else re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function walk(dir, { dots = false } = {}, out = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if ((dots || !entry.name.startsWith(".")) && !SKIPPED_DIRS.has(entry.name)) walk(full, { dots }, out);
+    } else if (entry.isFile()) out.push(full);
+  }
+  return out;
+}
+
+// A path or glob -> the matching file paths, sorted
+function expandGlob(pattern) {
+  if (!GLOB_CHARS.test(pattern)) return [pattern];
+  const parts = pattern.split(/[\\/]/);
+  const firstGlob = parts.findIndex((p) => GLOB_CHARS.test(p));
+  const base = parts.slice(0, firstGlob).join("/") || ".";
+  const rest = parts.slice(firstGlob);
+  const re = globToRegExp(rest.join("/"));
+  if (!fs.existsSync(base)) return [];
+  return walk(base, { dots: rest.some((p) => p.startsWith(".")) })
+    .filter((file) => re.test(path.relative(base, file).split(path.sep).join("/")))
+    .sort();
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf-8");
+    process.stdin.on("data", (d) => { data += d; });
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+  });
+}
+
+// -> { id, text }[]: one document per file, id = the path as given
+async function readCorpus(inputs) {
+  if (!inputs.length) {
+    if (process.stdin.isTTY) throw new UsageError("No files given and nothing piped to stdin");
+    return [{ id: "-", text: await readStdin() }];
+  }
+  const docs = [];
+  for (const input of inputs) {
+    if (input === "-") { docs.push({ id: "-", text: await readStdin() }); continue; }
+    const files = expandGlob(input);
+    if (!files.length) throw new UsageError(`No files match ${input}`);
+    for (const file of files) {
+      try { docs.push({ id: file, text: fs.readFileSync(file, "utf-8") }); } catch (err) {
+        throw new UsageError(`Cannot read ${file}: ${err.code === "EISDIR" ? "is a directory" : err.message}`);
+      }
+    }
+  }
+  return docs;
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      mode: { type: "string", short: "m", default: "url" },
+      format: { type: "string", short: "f", default: "lines" },
+      model: { type: "string" },
+      "max-tokens": { type: "string" },
+      provider: { type: "string", default: "gemini" },
+      "base-url": { type: "string" },
+      dry: { type: "boolean", default: false },
+      "ignore-case": { type: "boolean", short: "i", default: false },
+      "whole-word": { type: "boolean", short: "w", default: false },
+      fuzzy: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+      version: { type: "boolean", short: "v", default: false },
+    },
+  });
+  const number = (flag) => {
+    if (values[flag] === undefined) return undefined;
+    const n = Number(values[flag]);
+    if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${flag} needs a non-negative integer`);
+    return n;
+  };
+  if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(" | ")}`);
+  if (!["gemini", "openai"].includes(values.provider)) throw new UsageError("--provider must be gemini | openai");
+  if (!listModes().includes(values.mode)) throw new UsageError(`Unknown mode: ${values.mode} (expected ${listModes().join(" | ")})`);
+  return {
+    ...values,
+    maxTokens: number("max-tokens"),
+    local: { caseSensitive: !values["ignore-case"], wholeWord: values["whole-word"], fuzzy: number("fuzzy") },
+    query: positionals[0],
+    inputs: positionals.slice(1),
+  };
+}
+
+function makeProvider({ provider, model, "base-url": baseUrl }) {
+  if (provider === "openai") {
+    return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY, model: model || "gpt-4o-mini", baseUrl });
+  }
+  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.GOOGLE_GENAI_API_KEY || process.env.API_KEY;
+  if (!apiKey) throw new UsageError("Set GEMINI_API_KEY (or GOOGLE_API_KEY / API_KEY), or use --dry");
+  return createGeminiProvider({ apiKey, model });
+}
+
+const answerLine = (answer) => {
+  if (typeof answer === "string") return answer;
+  return answer?.id !== undefined && "index" in answer ? String(answer.id) : JSON.stringify(answer);
+};
+
+// --dry: the mode's local matcher; for documents mode, the documents with a local match
+function dryAnswers({ mode, query, local }, content) {
+  const def = getMode(mode);
+  if (def.documents) {
+    const hit = (d) => localSearch({ ...local, content: d.text, query, maxResults: 1 }).answers.length > 0;
+    return content.flatMap((d, index) => (hit(d) ? [{ index, id: d.id }] : []));
+  }
+  return def.fallback(content.map((d) => d.text).join("\n\n"), query, local);
+}
+
+async function main(argv) {
+  const args = parseCli(argv);
+  if (args.help) { console.log(HELP); return 0; }
+  if (args.version) {
+    const pkg = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8"));
+    console.log(pkg.version);
+    return 0;
+  }
+  if (!args.query) throw new UsageError("Missing query\n\n" + HELP);
+  const content = await readCorpus(args.inputs);
+  const write = (line) => process.stdout.write(line + "\n");
+
+  if (args.dry) {
+    const answers = dryAnswers(args, content);
+    if (args.format === "json") write(JSON.stringify({ answers, source: "fallback" }, null, 2));
+    else answers.forEach((a) => write(args.format === "jsonl" ? JSON.stringify(a) : answerLine(a)));
+    return answers.length ? 0 : 1;
+  }
+
+  const provider = makeProvider(args);
+  for await (const event of searchStream({ content, query: args.query, provider, model: args.model, mode: args.mode, maxTokens: args.maxTokens, local: args.local })) {
+    if (event.type === "answer" && args.format !== "json") write(args.format === "jsonl" ? JSON.stringify(event.answer) : answerLine(event.answer));
+    else if (event.type === "error") console.error(`vibe-search: chunk ${event.chunk} failed: ${event.error?.message ?? event.error}`);
+    else if (event.type === "done") {
+      if (args.format === "json") {
+        const { type, raw, ...result } = event;
+        write(JSON.stringify(result, null, 2));
+      }
+      return event.answers.length ? 0 : 1;
+    }
+  }
+  return 1;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(`vibe-search: ${err?.message ?? err}`);
+    process.exitCode = 2;
+  },
+);
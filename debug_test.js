@@ -1,5 +1,6 @@
 import "dotenv/config";
 import { searchWithGemini } from "./src/index.js";
+import { precisionRecallF1 } from "./src/eval.js";
 
 async function test() {
   const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.API_KEY;
@@ -11,40 +12,23 @@ async function test() {
   const result = await searchWithGemini({
     content: ["StrawbeRry"],
     query: "R,r",
-    apiKey
+    apiKey,
+    mode: "text",
+    // The extraction varies between calls: sample it at two temperatures and keep what most samples found
+    consistency: { samples: 5, variants: [{ temperature: 0.2 }, { temperature: 0.8 }] }
   });
 
   console.log("Gemini result:", result.answers);
+  console.log("Samples:", result.consistency.samples.map((s) => s.answers ?? s.error));
+  console.log("Agreement:", result.consistency.answers.map((a) => `${a.answer} ${a.votes}/${result.consistency.samples.length}`));
+  console.log("Dropped:", result.consistency.dropped.map((a) => `${a.answer} ${a.votes}/${result.consistency.samples.length}`));
   console.log("Raw response:", result.raw);
   
   // Test the evaluation logic
   const truth = ["r", "R", "r"];
   console.log("Truth:", truth);
   
-  // Simulate the multiset logic
-  function multisetFromList(list) {
-    const map = new Map();
-    for (const x of list) map.set(x, (map.get(x) || 0) + 1);
-    return map;
-  }
-
-  function prfForText(pred, truth) {
-    const predM = multisetFromList(pred);
-    const truthM = multisetFromList(truth);
-    let tp = 0, predCount = 0, truthCount = 0;
-    predM.forEach((cnt, token) => { predCount += cnt; });
-    truthM.forEach((cnt, token) => { truthCount += cnt; });
-    predM.forEach((pc, token) => {
-      const tc = truthM.get(token) || 0;
-      tp += Math.min(pc, tc);
-    });
-    const precision = predCount ? tp / predCount : 0;
-    const recall = truthCount ? tp / truthCount : 0;
-    const f1 = (precision + recall) ? (2 * precision * recall) / (precision + recall) : 0;
-    return { precision, recall, f1, tp, predCount, truthCount };
-  }
-
-  const metrics = prfForText(result.answers, truth);
+  const metrics = precisionRecallF1(result.answers, truth);
   console.log("Metrics:", metrics);
 }
 
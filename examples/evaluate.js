@@ -1,23 +1,33 @@
-// Enhanced evaluation harness for LLM search.
+// Enhanced evaluation harness for LLM search, on top of the library's evaluation module (vibe-search/eval).
 // Features:
-// - Metrics: Precision/Recall/F1, MAP, MRR, nDCG@k
-// - Dataset loading from JSON file
-// - Caching of model responses
+// - Metrics: Precision/Recall/F1, MAP, MRR, nDCG@k (runEval)
+// - Dataset loading from JSON, JSONL or CSV, validated item by item (per-item mode, matching rules, tags; see
+//   src/dataset.js); a malformed dataset stops the run with every problem listed
+// - Caching of model responses (the library's file cache under examples/.cache)
 // - Concurrency control
 // - --dry mode (no API call) using a simple heuristic baseline
 // - CLI options without extra deps
+// - Pluggable provider: Gemini (default) or any OpenAI-compatible endpoint (e.g. a local stub server)
+// - Prompt variants: --prompt <template.json|.js> (a definePromptTemplate object); its version is reported
+// - Token usage, finish reason and estimated cost per item (--priceIn/--priceOut, USD per 1M tokens)
+// - A/B runs: --compare <variants.json> runs several configurations over the same dataset; --baseline <report.json>
+//   diffs against a saved report. Per-item and summary deltas are printed, and the exit code is 1 when --metric
+//   (default f1) drops by more than --threshold (default 0)
+// - Offline runs: --record <dir> saves every model call as a fixture; --replay <dir> serves them back without network
+//   or API key (the response cache is off for both), failing the run on requests that were never recorded
 
 import "dotenv/config";
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-import { searchWithGemini } from "../src/index.js";
+import { fileURLToPath, pathToFileURL } from "url";
+import { search, localSearch, cacheKey, createFileCache, createGeminiProvider, createOpenAIProvider, recordFixtures, createReplayProvider, definePromptTemplate, DEFAULT_PROMPT_TEMPLATE } from "../src/index.js";
+import { runEval, compareReports, loadDataset, DatasetError, COMPARED_METRICS } from "../src/eval.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 function parseArgs(argv) {
-  const args = { k: 10, dataset: path.join(__dirname, "dataset.sample.json"), concurrency: 2, model: undefined, nocache: false, saveRaw: false, dry: false };
+  const args = { k: 10, dataset: path.join(__dirname, "dataset.sample.json"), concurrency: 2, model: undefined, provider: "gemini", baseUrl: undefined, retries: 2, timeoutMs: undefined, priceIn: undefined, priceOut: undefined, prompt: undefined, nocache: false, norank: false, prefilter: undefined, normalize: undefined, compare: undefined, baseline: undefined, record: undefined, replay: undefined, metric: "f1", threshold: 0, out: path.join(__dirname, "eval_results.json"), saveRaw: false, dry: false };
   const isFlag = (s) => typeof s === 'string' && s.startsWith('--');
   const nextVal = (i) => (i + 1 < argv.length && !isFlag(argv[i + 1])) ? argv[i + 1] : undefined;
   for (let i = 2; i < argv.length; i++) {
@@ -42,7 +52,66 @@ function parseArgs(argv) {
       if (v) { args.model = v; i++; } else { console.warn("[Args] --model requires a value; using default model"); }
       continue;
     }
+    if (a === "--provider") {
+      const v = nextVal(i);
+      if (v === "gemini" || v === "openai") { args.provider = v; i++; } else { console.warn("[Args] --provider must be gemini|openai; using:", args.provider); if (v) i++; }
+      continue;
+    }
+    if (a === "--baseUrl") {
+      const v = nextVal(i);
+      if (v) { args.baseUrl = v; i++; } else { console.warn("[Args] --baseUrl requires a URL; using provider default"); }
+      continue;
+    }
+    if (a === "--retries") {
+      const v = nextVal(i);
+      if (v) { const n = parseInt(v, 10); if (!Number.isNaN(n)) args.retries = Math.max(0, n); i++; } else { console.warn("[Args] --retries requires a number; using:", args.retries); }
+      continue;
+    }
+    if (a === "--timeout") {
+      const v = nextVal(i);
+      if (v) { const n = parseInt(v, 10); if (!Number.isNaN(n)) args.timeoutMs = Math.max(1, n); i++; } else { console.warn("[Args] --timeout requires milliseconds; using no timeout"); }
+      continue;
+    }
+    if (a === "--priceIn" || a === "--priceOut") {
+      const v = nextVal(i);
+      const n = v === undefined ? NaN : parseFloat(v);
+      if (!Number.isNaN(n) && n >= 0) { args[a.slice(2)] = n; i++; } else { console.warn(`[Args] ${a} requires USD per 1M tokens; using the model's list price`); if (v) i++; }
+      continue;
+    }
+    if (a === "--prompt") {
+      const v = nextVal(i);
+      if (v) { args.prompt = path.resolve(v); i++; } else { console.warn("[Args] --prompt requires a template file; using the built-in prompt"); }
+      continue;
+    }
+    if (a === "--prefilter") {
+      const v = nextVal(i);
+      const n = v === undefined ? NaN : parseInt(v, 10);
+      if (n > 0) { args.prefilter = n; i++; } else { console.warn("[Args] --prefilter requires a document count; sending every document"); if (v) i++; }
+      continue;
+    }
+    if (a === "--normalize") {
+      const v = nextVal(i);
+      if (v) { args.normalize = v.split(",").map((x) => x.trim()).filter(Boolean); i++; } else { console.warn("[Args] --normalize requires steps, e.g. url,casefold; using each mode's own"); }
+      continue;
+    }
+    if (a === "--compare" || a === "--baseline" || a === "--out" || a === "--record" || a === "--replay") {
+      const v = nextVal(i);
+      if (v) { args[a.slice(2)] = path.resolve(v); i++; } else { console.warn(`[Args] ${a} requires a file path; ignoring it`); }
+      continue;
+    }
+    if (a === "--metric") {
+      const v = nextVal(i);
+      if (COMPARED_METRICS.includes(v)) { args.metric = v; i++; } else { console.warn(`[Args] --metric must be one of ${COMPARED_METRICS.join("|")}; using:`, args.metric); if (v) i++; }
+      continue;
+    }
+    if (a === "--threshold") {
+      const v = nextVal(i);
+      const n = v === undefined ? NaN : parseFloat(v);
+      if (n >= 0) { args.threshold = n; i++; } else { console.warn("[Args] --threshold requires a non-negative number; using:", args.threshold); if (v) i++; }
+      continue;
+    }
     if (a === "--nocache") { args.nocache = true; continue; }
+    if (a === "--norank") { args.norank = true; continue; }
     if (a === "--saveRaw") { args.saveRaw = true; continue; }
     if (a === "--dry") { args.dry = true; continue; }
   }
@@ -53,263 +122,205 @@ function ensureDir(p) { if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true
 function readJSON(p, fallback) { try { return JSON.parse(fs.readFileSync(p, "utf-8")); } catch { return fallback; } }
 function writeJSON(p, data) { fs.writeFileSync(p, JSON.stringify(data, null, 2), "utf-8"); }
 
-function uniqueOrder(list) {
-  const seen = new Set();
-  const out = [];
-  for (const x of list) {
-    if (!seen.has(x)) { seen.add(x); out.push(x); }
-  }
-  return out;
+// Prompt template from a .json file or a module's default export
+async function loadPrompt(file) {
+  if (!file) return DEFAULT_PROMPT_TEMPLATE;
+  const template = /\.json$/i.test(file) ? readJSON(file, null) : (await import(pathToFileURL(file).href)).default;
+  if (!template) throw new Error(`Cannot load prompt template from ${file}`);
+  return definePromptTemplate(template);
 }
 
-// Metrics (multiset-aware for text tasks)
-function precisionRecallF1(pred, truth) {
-  // Kept for reference; not used in text mode where duplicates matter.
-  const setPred = new Set(pred);
-  const setTruth = new Set(truth);
-  let tp = 0; setPred.forEach((x) => { if (setTruth.has(x)) tp++; });
-  const fp = Math.max(0, setPred.size - tp);
-  const fn = Math.max(0, setTruth.size - tp);
-  const precision = setPred.size ? tp / setPred.size : 0;
-  const recall = setTruth.size ? tp / setTruth.size : 0;
-  const f1 = (precision + recall) ? (2 * precision * recall) / (precision + recall) : 0;
-  return { precision, recall, f1, tp, fp, fn };
+function makeProvider({ provider, apiKey, model, baseUrl, record, replay }) {
+  if (replay) return createReplayProvider({ dir: replay });
+  const live = provider === "openai" ? createOpenAIProvider({ apiKey, model: model || "stub", baseUrl }) : createGeminiProvider({ apiKey, model });
+  return record ? recordFixtures(live, { dir: record }) : live;
 }
 
-function averagePrecisionMS(pred, truth) {
-  // Multiset AP: each prediction counts only up to remaining truth multiplicity.
-  const rem = new Map();
-  let truthCount = 0;
-  for (const t of truth) { rem.set(t, (rem.get(t) || 0) + 1); truthCount++; }
-  if (!truthCount) return 0;
-  let hits = 0; let sumPrec = 0;
-  for (let i = 0; i < pred.length; i++) {
-    const p = pred[i];
-    const cnt = rem.get(p) || 0;
-    if (cnt > 0) {
-      hits++;
-      sumPrec += hits / (i + 1);
-      rem.set(p, cnt - 1);
-    }
-  }
-  return sumPrec / truthCount;
-}
+// List prices in USD per 1M tokens (text, standard tier) for cost estimates; override with --priceIn/--priceOut
+const PRICES = {
+  "gemini-2.5-pro": { in: 1.25, out: 10 },
+  "gemini-2.5-flash": { in: 0.3, out: 2.5 },
+  "gemini-2.5-flash-lite": { in: 0.1, out: 0.4 },
+  "gemini-2.0-flash": { in: 0.1, out: 0.4 },
+};
 
-function reciprocalRankMS(pred, truth) {
-  const rem = new Map();
-  for (const t of truth) rem.set(t, (rem.get(t) || 0) + 1);
-  for (let i = 0; i < pred.length; i++) {
-    const p = pred[i];
-    const cnt = rem.get(p) || 0;
-    if (cnt > 0) return 1 / (i + 1);
-  }
-  return 0;
+function costUsd(usage, model, { priceIn, priceOut }) {
+  if (!usage) return 0;
+  const list = PRICES[String(model).replace(/^models\//, "")] || {};
+  const pin = priceIn ?? list.in;
+  const pout = priceOut ?? list.out;
+  if (pin === undefined || pout === undefined) return null;
+  return (usage.promptTokens * pin + usage.outputTokens * pout) / 1e6;
 }
 
-function ndcgAtKMS(pred, truth, k = pred.length) {
-  const rem = new Map();
-  let truthCount = 0;
-  for (const t of truth) { rem.set(t, (rem.get(t) || 0) + 1); truthCount++; }
-  if (!truthCount) return 0;
-  const gains = [];
-  for (let i = 0; i < Math.min(k, pred.length); i++) {
-    const p = pred[i];
-    const cnt = rem.get(p) || 0;
-    if (cnt > 0) { gains.push(1); rem.set(p, cnt - 1); } else { gains.push(0); }
+// One item's search: the search result, or { answers } for the --dry baseline
+async function runOne({ item, provider, model, prompt, k, rank, prefilter, normalize, cacheDir, cache, saveRaw, dry, retries, timeoutMs }) {
+  const mode = item.mode || 'url';
+  if (dry) {
+    // Heuristic baseline: the library's local matcher over the query's tokens
+    return localSearch({ content: item.content, query: item.query, maxResults: k });
   }
-  const dcg = gains.reduce((acc, g, i) => acc + (g / Math.log2(i + 2)), 0);
-  const idealOnes = Math.min(k, truthCount);
-  const ideal = Array(idealOnes).fill(1).reduce((acc, g, i) => acc + (g / Math.log2(i + 2)), 0);
-  return ideal > 0 ? dcg / ideal : 0;
-}
-
-// Simple hashing for cache keys (djb2)
-function djb2(str) {
-  let h = 5381; for (let i = 0; i < str.length; i++) h = ((h << 5) + h) + str.charCodeAt(i);
-  return (h >>> 0).toString(16);
+  const res = await search({
+    // Ranked: answers come back sorted by the model's relevance scores, so MAP/MRR/nDCG measure its ranking
+    content: item.content, query: item.query, provider, model, mode, prompt, rank, maxAnswers: k, prefilter, normalize: mode === 'url' ? normalize : undefined, retries, timeoutMs, cache: cache ?? false,
+    onRetry: ({ attempt, delayMs, error }) => console.warn(`[${provider.name}] ${item.name}: retry #${attempt} in ${Math.round(delayMs)}ms (${error.name}: ${error.message.slice(0, 120)})`),
+  });
+  const { answers, raw } = res;
+  const count = answers?.length || 0;
+  const label = res.cached ? "Cache" : provider.name;
+  console.log(`[${label}] ${item.name}: ${count} answer(s)`, (answers || []).slice(0, k));
+  const rawLen = typeof raw === 'string' ? raw.length : 0;
+  const rawPreview = typeof raw === 'string' ? raw.slice(0, 300).replace(/\s+/g, ' ').trim() : '';
+  console.log(`[${label}] Raw preview (${rawLen} chars):`, rawPreview);
+  if (!count) {
+    console.error(`[${provider.name}] No results for "${item.name}". Likely an issue with API key/quota/model/prompt or upstream response.`);
+  }
+  if (saveRaw) {
+    const key = await cacheKey({ c: item.content, q: item.query, p: provider.name, m: model, mode, v: prompt.version, rank, prefilter });
+    ensureDir(path.join(cacheDir, "raw"));
+    fs.writeFileSync(path.join(cacheDir, "raw", `${key}.txt`), raw ?? "", "utf-8");
+  }
+  return res;
 }
 
-async function baselineSearch({ content, query, k }) {
-  // Heuristic: find exact tokens listed in query.
-  const text = Array.isArray(content) ? content.join("\n") : String(content || "");
-  const tokens = String(query || "").split(/[;,\s]+/).filter(Boolean);
-  const esc = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  const alt = tokens.length ? `(${tokens.map(esc).join('|')})` : '';
-  const re = alt ? new RegExp(alt, 'g') : null;
-  const found = [];
-  if (re) { let m; while ((m = re.exec(text)) && found.length < k) { found.push(m[0]); } }
-  return { answers: found };
+// --compare file: [{ name?, model?, prompt?, mode?, prefilter?, rank?, normalize? }, ...]; the first is the baseline
+// unless --baseline is given. Unset fields keep the command-line values; prompt paths are relative to the file.
+function loadVariants(file) {
+  const variants = readJSON(file, null);
+  if (!Array.isArray(variants) || !variants.length) throw new Error(`--compare needs a JSON array of configurations: ${file}`);
+  return variants.map((v, i) => ({
+    name: v.name ?? `config-${i + 1}`,
+    ...v,
+    ...(v.prompt ? { prompt: path.resolve(path.dirname(file), v.prompt) } : {}),
+    ...(typeof v.normalize === "string" ? { normalize: v.normalize.split(",").map((x) => x.trim()).filter(Boolean) } : {}),
+  }));
 }
 
-function multisetFromList(list) {
-  const map = new Map();
-  for (const x of list) map.set(x, (map.get(x) || 0) + 1);
-  return map;
-}
+// Runs one configuration over the dataset -> the saved report { config, rows, summary } (plus the runEval report)
+async function runConfig(run, { dataset, datasetPath, apiKey, cache, cacheDir }) {
+  const prompt = await loadPrompt(run.prompt);
+  const provider = run.dry ? null : makeProvider({ provider: run.provider, apiKey, model: run.model, baseUrl: run.baseUrl, record: run.record, replay: run.replay });
+  const rank = !run.norank && run.rank !== false;
+  const items = run.mode ? dataset.map((d) => ({ ...d, mode: run.mode })) : dataset;
+  const config = { ...(run.name ? { name: run.name } : {}), k: run.k, model: run.model || "default", provider: run.dry ? "none" : provider.name, promptVersion: run.dry ? "none" : prompt.version, rank: !run.dry && rank, mode: run.mode ?? "dataset", prefilter: run.dry ? "none" : run.prefilter ?? "off", normalize: run.normalize?.join(",") ?? "mode", dataset: path.relative(process.cwd(), datasetPath), dry: run.dry };
+  console.log("Eval config:", { ...config, concurrency: run.concurrency, cache: Boolean(cache) });
 
-function prfForText(pred, truth) {
-  const predM = multisetFromList(pred);
-  const truthM = multisetFromList(truth);
-  let tp = 0, predCount = 0, truthCount = 0;
-  predM.forEach((cnt, token) => { predCount += cnt; });
-  truthM.forEach((cnt, token) => { truthCount += cnt; });
-  predM.forEach((pc, token) => {
-    const tc = truthM.get(token) || 0;
-    tp += Math.min(pc, tc);
+  const report = await runEval({
+    dataset: items, k: run.k, concurrency: run.concurrency, normalize: run.normalize,
+    searchFn: (item) => runOne({ item, provider, model: run.model, prompt, k: run.k, rank, prefilter: run.prefilter, normalize: run.normalize, cacheDir, cache, saveRaw: run.saveRaw, dry: run.dry, retries: run.retries, timeoutMs: run.timeoutMs }),
   });
-  const precision = predCount ? tp / predCount : 0;
-  const recall = truthCount ? tp / truthCount : 0;
-  const f1 = (precision + recall) ? (2 * precision * recall) / (precision + recall) : 0;
-  return { precision, recall, f1, tp, predCount, truthCount };
-}
 
-async function runOne({ item, apiKey, model, k, cacheDir, useCache, saveRaw, dry }) {
-  const keyObj = { c: item.content, q: item.query, m: model, k, v: 'text-v3' };
-  const key = djb2(JSON.stringify(keyObj));
-  const cachePath = path.join(cacheDir, `${key}.json`);
-  if (useCache && fs.existsSync(cachePath)) {
-    const cached = readJSON(cachePath, null);
-    if (cached) {
-      console.log(`[Cache] ${item.name}: ${cached.pred?.length ?? 0} answer(s)`, (cached.pred || []).slice(0, 10));
-      return { name: item.name, pred: cached.pred, elapsedMs: cached.elapsedMs, fromCache: true };
-    }
+  const rows = [];
+  let cost = 0, unpriced = 0;
+  for (const r of report.items) {
+    if (r.error) { rows.push({ name: r.name, error: r.error.message ?? String(r.error) }); continue; }
+    const itemCost = costUsd(r.usage, r.model, run);
+    rows.push({
+      name: r.name, k: r.pred.length, precision: +r.precision.toFixed(3), recall: +r.recall.toFixed(3), f1: +r.f1.toFixed(3), ap: +r.ap.toFixed(3), mrr: +r.mrr.toFixed(3), ndcg: +r.ndcg.toFixed(3), ms: r.ms,
+      tok_in: r.usage?.promptTokens ?? 0, tok_out: r.usage?.outputTokens ?? 0, cost_usd: itemCost === null ? "?" : +itemCost.toFixed(6),
+      finish: r.finishReason ?? "", source: r.source ?? (run.dry ? "local" : ""), cache: r.cached ? "Y" : "",
+    });
+    if (r.kept) Object.assign(rows[rows.length - 1], { docs: `${r.kept.length}/${r.documents}`, pf_recall: +r.prefilterRecall.toFixed(3) });
+    if (r.hijacked !== undefined) rows[rows.length - 1].hijacked = r.hijacked ? "Y" : "";
+    if (itemCost === null) unpriced++; else cost += itemCost;
   }
 
-  const start = Date.now();
-  let answers;
-  if (dry) {
-    ({ answers } = await baselineSearch({ content: item.content, query: item.query, k }));
-  } else {
-  const res = await searchWithGemini({ content: item.content, query: item.query, apiKey, model });
-  answers = res.answers; const raw = res.raw;
-    const count = answers?.length || 0;
-    const preview = (answers || []).slice(0, k);
-    console.log(`[Gemini] ${item.name}: ${count} answer(s)`, preview);
-  const rawLen = typeof raw === 'string' ? raw.length : 0;
-  const rawPreview = typeof raw === 'string' ? raw.slice(0, 300).replace(/\s+/g, ' ').trim() : '';
-    console.log(`[Gemini] Raw preview (${rawLen} chars):`, rawPreview);
-    if (!count) {
-      console.error(`[Gemini] No results for "${item.name}". Likely an issue with API key/quota/model/prompt or upstream response.`);
-    }
-    if (saveRaw && useCache) {
-      ensureDir(path.join(cacheDir, "raw"));
-      fs.writeFileSync(path.join(cacheDir, "raw", `${key}.txt`), raw ?? "", "utf-8");
-    }
+  const totals = report.summary;
+  const summary = {
+    count: totals.count,
+    precision: +totals.precision.toFixed(4),
+    recall: +totals.recall.toFixed(4),
+    f1: +totals.f1.toFixed(4),
+    map: +totals.map.toFixed(4),
+    mrr: +totals.mrr.toFixed(4),
+    ndcg: +totals.ndcg.toFixed(4),
+    avg_ms: Math.round(totals.avgMs),
+    tokens_in: totals.tokensIn,
+    tokens_out: totals.tokensOut,
+    cost_usd: +cost.toFixed(6),
+    ...(unpriced ? { unpriced_items: unpriced } : {}),
+    ...(totals.hijackRate !== undefined ? { hijack_rate: +totals.hijackRate.toFixed(4) } : {}),
+    ...(totals.prefilterRecall !== undefined ? { prefilter_recall: +totals.prefilterRecall.toFixed(4), docs_kept: +totals.docsKept.toFixed(4) } : {}),
+  };
+  // Per-tag slices of the dataset, e.g. which kinds of item a change helps or hurts
+  const byTag = totals.byTag && Object.fromEntries(Object.entries(totals.byTag).map(([tag, t]) => [tag, {
+    count: t.count, ...Object.fromEntries(COMPARED_METRICS.map((m) => [m, +t[m].toFixed(4)])),
+  }]));
+  if (byTag) summary.by_tag = byTag;
+
+  if (provider?.misses?.length) {
+    console.error(`[Replay] ${provider.misses.length} request(s) have no fixture in ${path.relative(process.cwd(), run.replay)}; record them with --record`);
+    process.exitCode = 1;
   }
-  const elapsedMs = Date.now() - start;
-  const pred = (answers || []).slice(0, k);
 
-  if (useCache) writeJSON(cachePath, { pred, elapsedMs });
-  return { name: item.name, pred, elapsedMs, fromCache: false };
+  console.table(rows);
+  if (byTag) console.table(byTag);
+  console.log("Summary:", summary);
+  return { config, rows, summary, report };
 }
 
-async function promisePool(items, limit, worker) {
-  const results = new Array(items.length);
-  let idx = 0; let active = 0; let resolveAll, rejectAll;
-  const all = new Promise((res, rej) => { resolveAll = res; rejectAll = rej; });
-  const next = () => {
-    if (idx >= items.length && active === 0) return resolveAll(results);
-    while (active < limit && idx < items.length) {
-      const cur = idx++; active++;
-      Promise.resolve(worker(items[cur], cur))
-        .then((r) => { results[cur] = r; active--; next(); })
-        .catch((e) => { results[cur] = { error: e.message }; active--; next(); });
-    }
-  };
-  next();
-  return all;
+const label = (run) => run.config?.name ?? run.config?.promptVersion ?? "run";
+
+// Prints the deltas of `candidate` against `baseline` and whether the gate passed
+function printComparison(baseline, candidate, { metric, threshold }) {
+  const cmp = compareReports(baseline, candidate, { metric, threshold });
+  const signed = (x) => (x > 0 ? "+" : "") + x.toFixed(3);
+  console.log(`\nCompare: ${label(candidate)} vs ${label(baseline)}`);
+  console.table(cmp.items.map((x) => ({ name: x.name, ...(x.deltas ? Object.fromEntries(COMPARED_METRICS.map((m) => [`Δ${m}`, signed(x.deltas[m])])) : { status: x.status }) })));
+  console.table(Object.fromEntries(COMPARED_METRICS.map((m) => [m, { baseline: +cmp.summary[m].baseline.toFixed(4), candidate: +cmp.summary[m].candidate.toFixed(4), delta: signed(cmp.summary[m].delta) }])));
+  const verdict = cmp.passed ? "PASS" : "FAIL";
+  console.log(`Gate: ${metric} ${cmp.drop ? `dropped ${cmp.drop.toFixed(4)}` : "did not drop"} (threshold ${threshold}) — ${verdict}${cmp.regressed.length ? `; regressed items: ${cmp.regressed.join(", ")}` : ""}`);
+  return { baseline: label(baseline), candidate: label(candidate), ...cmp };
 }
 
 async function main() {
   const args = parseArgs(process.argv);
-  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.API_KEY;
-  if (!args.dry && !apiKey) {
-    console.error("Usage: set GEMINI_API_KEY or run with --dry for baseline. Optional: --dataset <path> --k <n> --model <name> --concurrency <n> --nocache --saveRaw");
+  const apiKey = args.provider === "openai"
+    ? process.env.OPENAI_API_KEY
+    : (process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.API_KEY);
+  if (!args.dry && !args.replay && args.provider === "gemini" && !apiKey) {
+    console.error("Usage: set GEMINI_API_KEY or run with --dry for baseline. Optional: --dataset <path> --k <n> --model <name> --concurrency <n> --provider gemini|openai --baseUrl <url> --retries <n> --timeout <ms> --priceIn <usd> --priceOut <usd> --prompt <template> --prefilter <n> --normalize <steps> --compare <variants.json> --baseline <report.json> --metric <name> --threshold <x> --out <path> --record <dir> --replay <dir> --nocache --norank --saveRaw");
     process.exit(1);
   }
 
+  // A malformed dataset is an error, not a reason to evaluate something else: every problem is listed
   const datasetPath = args.dataset;
-  let dataset = readJSON(datasetPath, null);
-  if (!dataset) {
-    // Fallback inline dataset
-    dataset = [
-      {
-        name: "Node & Gemini",
-        content: [
-          "Node.js docs: https://nodejs.org/en/",
-          "Google AI Studio: https://aistudio.google.com/",
-          "Generative AI JS: https://github.com/google-gemini/generative-ai-js"
-        ],
-        query: "哪里可以了解 @google/genai 和 Node.js?",
-        truth: [
-          "https://nodejs.org/en/",
-          "https://aistudio.google.com/",
-          "https://github.com/google-gemini/generative-ai-js"
-        ]
-      },
-      {
-        name: "Web Dev",
-        content: [
-          "MDN Web Docs: https://developer.mozilla.org/",
-          "W3C: https://www.w3.org/"
-        ],
-        query: "Web 标准和文档去哪里看？",
-        truth: [
-          "https://developer.mozilla.org/",
-          "https://www.w3.org/"
-        ]
-      }
-    ];
+  let dataset;
+  try {
+    dataset = await loadDataset(datasetPath);
+  } catch (err) {
+    if (!(err instanceof DatasetError) && err.code !== "ENOENT") throw err;
+    console.error(err.code === "ENOENT" ? `Dataset not found: ${datasetPath}` : err.message);
+    process.exit(1);
   }
-
-  // Normalize truths (do NOT dedupe; duplicates matter for text-occurrence tasks)
-  dataset = dataset.map((d) => ({ ...d, truth: (d.truth || []).map(x => String(x)) }));
+  // Truths are not de-duplicated: duplicates matter for text-occurrence tasks. --normalize applies to url items
+  // only, on both sides (runEval), so answers and truth are compared in one form.
 
   const cacheDir = path.join(__dirname, ".cache");
-  if (!args.nocache) ensureDir(cacheDir);
+  // Cache hits make no model call, so nothing would be recorded, and would hide requests missing from a replay
+  const cache = args.nocache || args.record || args.replay ? null : createFileCache({ dir: path.join(cacheDir, "responses") });
+  const baseline = args.baseline && readJSON(args.baseline, null);
+  if (args.baseline && !baseline) throw new Error(`Cannot read baseline report ${args.baseline}`);
 
-  console.log("Eval config:", { k: args.k, dataset: path.relative(process.cwd(), datasetPath), model: args.model || "default", concurrency: args.concurrency, cache: !args.nocache, dry: args.dry });
-
-  const perItem = await promisePool(dataset, args.concurrency, (item) => runOne({ item, apiKey, model: args.model, k: args.k, cacheDir, useCache: !args.nocache, saveRaw: args.saveRaw, dry: args.dry }));
-
-  const rows = [];
-  let sumP = 0, sumR = 0, sumF1 = 0, sumAP = 0, sumRR = 0, sumnDCG = 0, sumTime = 0;
-  let count = 0;
-  for (let i = 0; i < dataset.length; i++) {
-    const item = dataset[i];
-    const r = perItem[i];
-    if (r?.error) { rows.push({ name: item.name, error: r.error }); continue; }
-  const pred = (r.pred || []).map(x => String(x));
-  const truth = item.truth;
-  if (item.name === 'find Rs in StrawbeRry') {
-    console.log(`[DEBUG] ${item.name}: pred=${JSON.stringify(pred)}, truth=${JSON.stringify(truth)}`);
-  }
-  const prf = prfForText(pred, truth);
-  const ap = averagePrecisionMS(pred, truth);
-  const rr = reciprocalRankMS(pred, truth);
-  const ndcg = ndcgAtKMS(pred, truth, args.k);
-    rows.push({ name: item.name, k: pred.length, precision: +prf.precision.toFixed(3), recall: +prf.recall.toFixed(3), f1: +prf.f1.toFixed(3), ap: +ap.toFixed(3), mrr: +rr.toFixed(3), ndcg: +ndcg.toFixed(3), ms: r.elapsedMs, cache: r.fromCache ? "Y" : "" });
-    sumP += prf.precision; sumR += prf.recall; sumF1 += prf.f1; sumAP += ap; sumRR += rr; sumnDCG += ndcg; sumTime += r.elapsedMs; count++;
+  // Configurations run one after another, so they do not compete for rate limits
+  const runs = [];
+  for (const variant of args.compare ? loadVariants(args.compare) : [{}]) {
+    runs.push(await runConfig({ ...args, ...variant }, { dataset, datasetPath, apiKey, cache, cacheDir }));
   }
 
-  const summary = {
-    count,
-    precision: +(sumP / Math.max(1, count)).toFixed(4),
-    recall: +(sumR / Math.max(1, count)).toFixed(4),
-    f1: +(sumF1 / Math.max(1, count)).toFixed(4),
-    map: +(sumAP / Math.max(1, count)).toFixed(4),
-    mrr: +(sumRR / Math.max(1, count)).toFixed(4),
-    ndcg: +(sumnDCG / Math.max(1, count)).toFixed(4),
-    avg_ms: Math.round(sumTime / Math.max(1, count))
-  };
-
-  console.table(rows);
-  console.log("Summary:", summary);
+  // Fresh runs are compared unrounded; against a saved report (a multi-configuration one by its first run) in
+  // its rounded form, so an unchanged run shows no deltas
+  const unrounded = (run) => ({ config: run.config, ...run.report });
+  const comparisons = baseline
+    ? runs.map((run) => printComparison(baseline.runs?.[0] ?? baseline, run, args))
+    : runs.slice(1).map((run) => printComparison(unrounded(runs[0]), unrounded(run), args));
+  if (comparisons.some((c) => !c.passed)) process.exitCode = 1;
 
   // Save report
-  const outPath = path.join(__dirname, "eval_results.json");
-  writeJSON(outPath, { config: { k: args.k, model: args.model || "default", dataset: path.relative(process.cwd(), datasetPath), dry: args.dry }, rows, summary, ts: new Date().toISOString() });
-  console.log("Saved:", path.relative(process.cwd(), outPath));
+  const strip = ({ config, rows, summary }) => ({ config, rows, summary });
+  const saved = args.compare ? { runs: runs.map(strip), comparisons } : { ...strip(runs[0]), ...(comparisons.length ? { comparison: comparisons[0] } : {}) };
+  writeJSON(args.out, { ...saved, ts: new Date().toISOString() });
+  console.log("Saved:", path.relative(process.cwd(), args.out));
 }
 
 main().catch((e) => { console.error(e); process.exit(1); });
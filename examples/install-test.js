@@ -3,7 +3,7 @@
 // Test script to verify the package works after installation
 // Usage: node examples/install-test.js
 
-import { searchWithGemini } from "vibe-search-gemini";
+import { searchWithGemini, MissingParameterError, UpstreamError } from "vibe-search-gemini";
 
 console.log("🧪 Testing vibe-search-gemini package installation...\n");
 
@@ -15,7 +15,7 @@ console.log("✓ searchWithGemini function available:", typeof searchWithGemini
 try {
   await searchWithGemini({});
 } catch (error) {
-  if (error.message.includes("Missing")) {
+  if (error instanceof MissingParameterError) {
     console.log("✓ Parameter validation working correctly");
   } else {
     console.log("✗ Unexpected validation error:", error.message);
@@ -27,10 +27,11 @@ try {
   await searchWithGemini({
     content: ["test1", "test2"],
     query: "test",
-    apiKey: "fake-key"
+    apiKey: "fake-key",
+    retries: 0
   });
 } catch (error) {
-  if (error.message.includes("API") || error.message.includes("fetch")) {
+  if (error instanceof UpstreamError) {
     console.log("✓ Content processing working (API error expected with fake key)");
   } else {
     console.log("✗ Content processing error:", error.message);
@@ -1,5 +1,5 @@
 import React, { useState, useCallback } from 'react';
-import { searchWithGemini } from 'vibe-search';
+import { searchStream, createGeminiProvider } from 'vibe-search';
 
 // Sample content for demonstration
 const SAMPLE_CONTENT = `Node.js official website: https://nodejs.org/
@@ -42,17 +42,18 @@ function App() {
 
     setLoading(true);
     setError(null);
-    setResults(null);
+    setResults({ answers: [], raw: '' });
 
     try {
-      const result = await searchWithGemini({
-        content: content.trim(),
-        query: query.trim(),
-        apiKey: apiKey.trim(),
-        model: 'gemini-2.5-flash'
-      });
-      
-      setResults(result);
+      const provider = createGeminiProvider({ apiKey: apiKey.trim(), model: 'gemini-2.5-flash' });
+      // Render each answer as soon as the model has written it
+      for await (const event of searchStream({ content: content.trim(), query: query.trim(), provider })) {
+        if (event.type === 'answer') {
+          setResults((prev) => ({ ...prev, answers: [...prev.answers, event.answer] }));
+        } else if (event.type === 'done') {
+          setResults({ answers: event.answers, raw: event.raw, usage: event.usage });
+        }
+      }
     } catch (err) {
       setError(err.message || 'An error occurred during search');
     } finally {
@@ -156,7 +157,7 @@ function App() {
         </div>
       )}
 
-      {loading && (
+      {loading && !results?.answers.length && (
         <div className="loading">
           <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '12px' }}>
             <div className="spinner"></div>
@@ -172,7 +173,7 @@ function App() {
             <span className="results-count">{results.answers.length}</span>
           </h2>
           
-          {results.answers.length > 0 ? (
+          {results.answers.length > 0 || loading ? (
             <>
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
                 <span></span>
@@ -204,6 +205,7 @@ function App() {
                   </li>
                 ))}
               </ul>
+              {loading && <p style={{ color: '#666', textAlign: 'center' }}>Still searching...</p>}
             </>
           ) : (
             <p style={{ color: '#666', textAlign: 'center', padding: '40px 0' }}>
@@ -211,10 +213,12 @@ function App() {
             </p>
           )}
 
-          <div className="raw-response">
-            <h3>Raw AI Response:</h3>
-            <pre>{results.raw}</pre>
-          </div>
+          {!loading && (
+            <div className="raw-response">
+              <h3>Raw AI Response:</h3>
+              <pre>{results.raw}</pre>
+            </div>
+          )}
         </div>
       )}
     </div>
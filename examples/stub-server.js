@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// Minimal OpenAI-compatible stub server for offline runs.
+// It answers POST /v1/chat/completions by listing the corpus URLs (url mode prompts) or regex-matching
+// the query tokens in the prompt's corpus (text mode),
+// so the full pipeline (including examples/evaluate.js) can run with no network.
+// Document retrieval prompts get the [doc N] documents containing a query word, with scores.
+// Ranked prompts (`rank: true`) get { text, score } answers, scored 1 when a query word appears in the answer.
+// Requests with `stream: true` get the same answer as server-sent events, a few characters per event:
+//   node examples/stub-server.js 8787
+//   node examples/evaluate.js --provider openai --baseUrl http://127.0.0.1:8787/v1
+
+import http from "http";
+
+const port = parseInt(process.argv[2] || process.env.PORT || "8787", 10);
+
+function match(query, corpus, urls) {
+  if (urls) return corpus.match(/https?:\/\/[^\s<>"'`]+/gi) || [];
+  const tokens = query.split(/[;,\s]+/).filter(Boolean);
+  const esc = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const re = tokens.length ? new RegExp(`(${tokens.map(esc).join('|')})`, 'g') : null;
+  const found = [];
+  if (re) { let m; while ((m = re.exec(corpus)) && found.length < 200) { found.push(m[0]); } }
+  return found;
+}
+
+function documents(query, corpus) {
+  const words = query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 2);
+  return corpus.split(/\n\n(?=\[doc \d+\]\n)/)
+    .map((block) => /^\[doc (\d+)\]\n([\s\S]*)$/.exec(block))
+    .filter(Boolean)
+    .map(([, doc, text]) => ({ doc: Number(doc), score: words.filter((w) => text.toLowerCase().includes(w)).length / (words.length || 1) }))
+    .filter((d) => d.score > 0);
+}
+
+function scored(found, query) {
+  const words = query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 2);
+  return found.map((text) => ({ text, score: words.some((w) => text.toLowerCase().includes(w)) ? 1 : 0.5 }));
+}
+
+// The query is in a "<query>" block, batch queries (searchMany) are "qN: ..." lines in a "<queries>" block,
+// and the corpus is the "<corpus>" block the prompt ends with (few-shot examples keep their tags on one line)
+function answer(prompt) {
+  const corpus = (/<corpus>\n([\s\S]*)\n<\/corpus>\s*$/.exec(prompt) || [])[1] || "";
+  const urls = /Extract the URLs/.test(prompt);
+  const rank = /"score": /.test(prompt);
+  const docs = /Find the documents in the corpus/.test(prompt);
+  const find = (query) => {
+    if (docs) return documents(query, corpus);
+    return rank ? scored(match(query, corpus, urls), query) : match(query, corpus, urls);
+  };
+  const batch = /<queries>\n((?:q\d+: .*\n)+)<\/queries>/.exec(prompt);
+  if (batch) {
+    const results = {};
+    for (const [, id, query] of batch[1].matchAll(/^(q\d+): (.*)$/gm)) results[id] = find(query);
+    return JSON.stringify({ results });
+  }
+  const query = (/<query>\n([\s\S]*?)\n<\/query>/.exec(prompt) || [])[1] || "";
+  return JSON.stringify({ answers: find(query) });
+}
+
+// Rough token counts (~4 chars/token) so usage and cost reporting can be exercised offline
+function usage(prompt, text) {
+  const promptTokens = Math.ceil(prompt.length / 4);
+  const completionTokens = Math.ceil(text.length / 4);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) {
+    res.writeHead(404, { "content-type": "application/json" });
+    return res.end(JSON.stringify({ error: { message: "Not found" } }));
+  }
+  let body = "";
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => {
+    let payload;
+    try { payload = JSON.parse(body); } catch {
+      res.writeHead(400, { "content-type": "application/json" });
+      return res.end(JSON.stringify({ error: { message: "Invalid JSON" } }));
+    }
+    const prompt = (payload.messages || []).map((m) => m.content).join("\n");
+    const text = answer(prompt);
+    const model = payload.model || "stub";
+    if (payload.stream) {
+      const event = (data) => res.write(`data: ${JSON.stringify({ id: "stub", object: "chat.completion.chunk", model, ...data })}\n\n`);
+      res.writeHead(200, { "content-type": "text/event-stream" });
+      for (let i = 0; i < text.length; i += 16) event({ choices: [{ index: 0, delta: { content: text.slice(i, i + 16) }, finish_reason: null }] });
+      event({ choices: [{ index: 0, delta: {}, finish_reason: "stop" }] });
+      if (payload.stream_options?.include_usage) event({ choices: [], usage: usage(prompt, text) });
+      return res.end("data: [DONE]\n\n");
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify({
+      id: "stub",
+      object: "chat.completion",
+      model,
+      choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: "stop" }],
+      usage: usage(prompt, text),
+    }));
+  });
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`Stub server listening on http://127.0.0.1:${port}/v1`);
+});
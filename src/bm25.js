@@ -0,0 +1,72 @@
+// Lexical retrieval: an in-process BM25 index over corpus documents, used to pre-filter `content` before the
+// model is called. Pure JS, no services.
+// Contract:
+//   tokenize(text) -> string[]  lowercased letter/digit runs; CJK runs become character bigrams (a lone character stays)
+//   createBM25Index(texts, { k1 = 1.2, b = 0.75 }) -> { size, scores(query) -> number[], search(query, { limit }) -> { index, score }[] }
+//     search is sorted by score, best first; ties keep document order. Empty documents score 0.
+//   prefilterDocuments(docs, queries, { topN = 20, k1, b }) -> number[]
+//     docs: { index, text }[] (see normalizeContent); the `index` of the topN best documents for any of the
+//     queries (union over queries), in corpus order. Documents are only dropped when there are more than topN.
+
+export const DEFAULT_PREFILTER_TOP_N = 20;
+
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+const CJK = "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}";
+const RUN_RE = new RegExp(`[${CJK}]+|[^${CJK}]+`, "gu");
+const CJK_RE = new RegExp(`^[${CJK}]`, "u");
+
+export function tokenize(text) {
+  const tokens = [];
+  for (const [word] of String(text ?? "").toLowerCase().matchAll(WORD_RE)) {
+    for (const [run] of word.matchAll(RUN_RE)) {
+      if (!CJK_RE.test(run)) { tokens.push(run); continue; }
+      const chars = [...run];
+      if (chars.length === 1) tokens.push(run);
+      for (let i = 0; i + 1 < chars.length; i++) tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+export function createBM25Index(texts, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = texts.map((text) => {
+    const tf = new Map();
+    const tokens = tokenize(text);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { tf, length: tokens.length };
+  });
+  const df = new Map();
+  for (const { tf } of docs) for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const n = docs.length;
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (n || 1) || 1;
+  // Non-negative idf (Lucene's variant), so a term in most documents still counts a little
+  const idf = (t) => Math.log(1 + (n - df.get(t) + 0.5) / (df.get(t) + 0.5));
+
+  const scores = (query) => {
+    const terms = [...new Set(tokenize(query))].filter((t) => df.has(t));
+    return docs.map(({ tf, length }) => terms.reduce((sum, t) => {
+      const f = tf.get(t) || 0;
+      return f ? sum + idf(t) * (f * (k1 + 1)) / (f + k1 * (1 - b + (b * length) / avgLength)) : sum;
+    }, 0));
+  };
+
+  return {
+    size: n,
+    scores,
+    search(query, { limit = Infinity } = {}) {
+      return scores(query)
+        .map((score, index) => ({ index, score }))
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+export function prefilterDocuments(docs, queries, { topN = DEFAULT_PREFILTER_TOP_N, k1, b } = {}) {
+  const present = docs.filter((d) => d.text);
+  if (present.length <= topN) return present.map((d) => d.index);
+  const index = createBM25Index(present.map((d) => d.text), { k1, b });
+  const kept = new Set();
+  for (const query of queries) for (const hit of index.search(query, { limit: topN })) kept.add(present[hit.index].index);
+  return [...kept].sort((x, y) => x - y);
+}
@@ -0,0 +1,100 @@
+// Response cache for model calls.
+// Contract:
+//   cache: { get(key) -> value | undefined, set(key, value, { ttlMs }), delete?(key), clear?() }
+//     (each method may also return a Promise; keys are hex strings, values are JSON-serializable)
+//   createMemoryCache({ maxEntries = 500, ttlMs }) -> in-process LRU
+//   createFileCache({ dir, ttlMs }) -> one JSON file per key under `dir` (Node only; fs is loaded lazily);
+//     clear() removes those `${key}.json` files (and interrupted writes), not the directory or anything else in it
+//   cacheKey(parts) -> Promise<string>  SHA-256 of the JSON-serialized parts (Web Crypto, Node >= 18 and browsers)
+//   setDefaultCache(cache | null) sets the cache used when a search passes no `cache` option.
+//   Expired entries read as misses. Cache failures never fail a search: a broken read is a miss and a
+//   broken write is ignored.
+
+import { MissingParameterError } from "./errors.js";
+
+export const DEFAULT_CACHE_ENTRIES = 500;
+
+let defaultCache = null;
+
+export function setDefaultCache(cache) {
+  defaultCache = cache ?? null;
+}
+
+// `cache` search option -> the cache to use, or null. false disables caching for the call.
+export function resolveCache(cache) {
+  if (cache === false) return null;
+  return cache ?? defaultCache;
+}
+
+// Entries and the temporary files they are written through: `${key}.json`, `${key}.json.${pid}.${time}.tmp`,
+// keys being SHA-256 hex digests (cacheKey); other files in a shared directory never match
+const CACHE_FILE_RE = /^[0-9a-f]{64}\.json(\.\d+\.\d+\.tmp)?$/;
+
+const isExpired = (entry) => entry.expires != null && entry.expires <= Date.now();
+const expiry = (ttlMs) => (ttlMs > 0 ? Date.now() + ttlMs : null);
+
+export async function cacheKey(parts) {
+  const bytes = new TextEncoder().encode(JSON.stringify(parts));
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function createMemoryCache({ maxEntries = DEFAULT_CACHE_ENTRIES, ttlMs } = {}) {
+  const entries = new Map(); // insertion order = recency order
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (isExpired(entry)) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, options = {}) {
+      entries.delete(key);
+      entries.set(key, { value, expires: expiry(options.ttlMs ?? ttlMs) });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+export function createFileCache({ dir, ttlMs } = {}) {
+  if (!dir) throw new MissingParameterError("dir");
+  let fsp;
+  const fs = async () => (fsp ??= await import("node:fs/promises"));
+  const base = String(dir).replace(/[\\/]+$/, "");
+  const file = (key) => `${base}/${key}.json`;
+  return {
+    async get(key) {
+      let entry;
+      try { entry = JSON.parse(await (await fs()).readFile(file(key), "utf-8")); } catch { return undefined; }
+      if (!entry || isExpired(entry)) return undefined;
+      return entry.value;
+    },
+    async set(key, value, options = {}) {
+      const { mkdir, writeFile, rename } = await fs();
+      const tmp = `${file(key)}.${process.pid}.${Date.now()}.tmp`;
+      await mkdir(dir, { recursive: true });
+      await writeFile(tmp, JSON.stringify({ value, expires: expiry(options.ttlMs ?? ttlMs) }), "utf-8");
+      await rename(tmp, file(key));
+    },
+    async delete(key) {
+      await (await fs()).rm(file(key), { force: true });
+    },
+    async clear() {
+      const { readdir, rm } = await fs();
+      let names;
+      try { names = await readdir(dir); } catch (err) { if (err.code === "ENOENT") return; throw err; }
+      await Promise.all(names.filter((name) => CACHE_FILE_RE.test(name)).map((name) => rm(`${base}/${name}`, { force: true })));
+    },
+  };
+}
@@ -0,0 +1,90 @@
+// Corpus chunking for map-reduce search over content larger than the model context.
+// Contract:
+//   normalizeContent(content) -> { index, text, id?, metadata? }[]
+//   - `content` is a string (one document) or an array of strings and/or { id?, text, metadata? } objects;
+//   - `index` is the position in the `content` array; id and metadata are kept for results, only text is searched;
+//   chunkContent(content, { maxChars }) -> { index, text, docs: number[], parts: { doc, text }[] }[]
+//   - whole documents from the `content` array are packed greedily into chunks of at most maxChars;
+//   - a single document longer than maxChars is split on line/whitespace boundaries;
+//   - `docs` lists the indices (into the original `content` array) a chunk covers; `parts` pairs each
+//     index with the text of that document (or document slice) inside the chunk.
+
+export const CHARS_PER_TOKEN = 4;
+export const DEFAULT_CHUNK_TOKENS = 200000;
+const DOC_SEPARATOR = "\n\n";
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text ?? "").length / CHARS_PER_TOKEN);
+}
+
+export function chunkBudget({ maxChunkChars, maxChunkTokens } = {}) {
+  if (maxChunkChars > 0) return Math.floor(maxChunkChars);
+  return Math.floor((maxChunkTokens > 0 ? maxChunkTokens : DEFAULT_CHUNK_TOKENS) * CHARS_PER_TOKEN);
+}
+
+function splitLongText(text, maxChars) {
+  const parts = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    let cut = window.lastIndexOf("\n");
+    if (cut <= 0) cut = window.search(/\s\S*$/);
+    if (cut <= 0) cut = maxChars;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\s+/, "");
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+const isDocObject = (d) => d !== null && typeof d === "object";
+
+export function normalizeContent(content) {
+  const items = Array.isArray(content) ? content : [content];
+  return items.map((d, index) => {
+    if (!isDocObject(d)) return { index, text: d ? String(d) : "" };
+    const doc = { index, text: d.text ? String(d.text) : "" };
+    if (d.id !== undefined) doc.id = d.id;
+    if (d.metadata !== undefined) doc.metadata = d.metadata;
+    return doc;
+  });
+}
+
+export function chunkContent(content, { maxChars = chunkBudget() } = {}) {
+  const docs = Array.isArray(content)
+    ? normalizeContent(content).filter((d) => Boolean(d.text)).map((d) => ({ i: d.index, text: d.text }))
+    : [{ i: 0, text: normalizeContent(content)[0].text }];
+
+  const chunks = [];
+  let cur = null;
+  const flush = () => {
+    if (!cur) return;
+    chunks.push({ index: chunks.length, text: cur.texts.join(DOC_SEPARATOR), docs: cur.docs, parts: cur.docs.map((doc, j) => ({ doc, text: cur.texts[j] })) });
+    cur = null;
+  };
+
+  for (const doc of docs) {
+    if (doc.text.length > maxChars) {
+      flush();
+      for (const part of splitLongText(doc.text, maxChars)) chunks.push({ index: chunks.length, text: part, docs: [doc.i], parts: [{ doc: doc.i, text: part }] });
+      continue;
+    }
+    const size = cur ? cur.size + DOC_SEPARATOR.length + doc.text.length : doc.text.length;
+    if (cur && size > maxChars) flush();
+    if (!cur) cur = { texts: [], docs: [], size: -DOC_SEPARATOR.length };
+    cur.texts.push(doc.text);
+    cur.docs.push(doc.i);
+    cur.size += DOC_SEPARATOR.length + doc.text.length;
+  }
+  flush();
+  return chunks;
+}
+
+// Merge per-chunk answer lists in chunk order.
+// 'multiset' keeps every occurrence (occurrence-counting queries); 'unique' keeps the first of each.
+export function mergeAnswers(lists, merge = "multiset", key = (x) => x) {
+  const all = lists.flat();
+  if (merge !== "unique") return all;
+  const seen = new Set();
+  return all.filter((x) => (seen.has(key(x)) ? false : (seen.add(key(x)), true)));
+}
@@ -0,0 +1,68 @@
+// Self-consistency: one search sampled several times (optionally across models or temperatures) and the
+// answers combined by voting, so a nondeterministic extraction comes with how much the samples agree on it.
+// Contract:
+//   consistencyOptions(option) -> { samples, variants, vote } | null
+//     option: true (3 samples) | samples | { samples = variants.length || 3, variants?: settings[], vote = 'majority' }
+//     variants: per-sample search settings ({ model, temperature, topP, seed, provider, ... }), used in turn
+//     vote: 'majority' (more than half of the answering samples) | share in (0, 1] (at least that share of them)
+//   quorumOf(vote, answered) -> votes an answer needs
+//   voteAnswers(lists, { quorum, key }) -> { kept: Vote[], dropped: Vote[] }
+//     lists: each answering sample's answers; key(answer) -> string identifies an answer across samples
+//     Per-item counts: copy j of an answer gets a vote from every sample holding at least j copies, so in text
+//     mode an occurrence two samples out of three found twice is kept twice under majority.
+//     Vote: { key, copy, votes, agreement, sample, index }  agreement = votes / lists.length; sample / index
+//       locate the copy in the first sample holding it
+//     kept: copies with at least `quorum` votes, in the samples' own (model / corpus) order: the order of first
+//       appearance, with a copy a later sample adds placed right after the one it follows there. Votes never
+//       reorder answers; callers that rank re-sort by score.
+//     dropped: copies short of `quorum`, most votes first
+//   Error modes: consistencyOptions throws TypeError on a malformed option.
+
+export const DEFAULT_SAMPLES = 3;
+
+export function consistencyOptions(option) {
+  if (option === undefined || option === null || option === false) return null;
+  const options = option === true ? {} : typeof option === "number" ? { samples: option } : { ...option };
+  const { variants, vote = "majority" } = options;
+  if (variants !== undefined && (!Array.isArray(variants) || !variants.length || variants.some((v) => !v || typeof v !== "object"))) {
+    throw new TypeError("consistency variants must be a non-empty array of search settings");
+  }
+  const samples = options.samples ?? variants?.length ?? DEFAULT_SAMPLES;
+  if (!(Number.isInteger(samples) && samples > 0)) throw new TypeError("consistency samples must be a positive integer");
+  if (vote !== "majority" && !(typeof vote === "number" && vote > 0 && vote <= 1)) throw new TypeError("consistency vote must be 'majority' or a share in (0, 1]");
+  return { samples, variants: variants ?? [{}], vote };
+}
+
+export function quorumOf(vote, answered) {
+  if (vote === "majority") return Math.floor(answered / 2) + 1;
+  // Float noise must not lift 0.6 * 5 above 3
+  return Math.max(1, Math.ceil(vote * answered - 1e-9));
+}
+
+export function voteAnswers(lists, { quorum, key = String } = {}) {
+  const copies = new Map(); // "key\u0000copy" -> vote
+  const order = []; // ids in the merged order of the samples
+  lists.forEach((answers, sample) => {
+    const seen = new Map();
+    let after = -1; // position in `order` of the copy this sample gave last
+    answers.forEach((answer, index) => {
+      const k = key(answer);
+      const copy = (seen.get(k) ?? 0) + 1;
+      seen.set(k, copy);
+      const id = `${k}\u0000${copy}`;
+      let vote = copies.get(id);
+      if (vote) after = order.indexOf(id);
+      else {
+        vote = { key: k, copy, votes: 0, sample, index };
+        copies.set(id, vote);
+        order.splice(++after, 0, id);
+      }
+      vote.votes++;
+    });
+  });
+  const votes = order.map((id) => copies.get(id)).map((v) => ({ ...v, agreement: lists.length ? v.votes / lists.length : 0 }));
+  return {
+    kept: votes.filter((v) => v.votes >= quorum),
+    dropped: votes.filter((v) => v.votes < quorum).sort((a, b) => b.votes - a.votes),
+  };
+}
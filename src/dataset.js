@@ -0,0 +1,198 @@
+// Evaluation datasets: the item format, its validator and JSON / JSONL / CSV readers.
+// Contract:
+//   item: { name, content, query, truth: TruthEntry[], mode?, match?, tags?: string[], forbidden?: string[] }
+//     content: string | (string | { id?, text, metadata? })[]  as for search
+//     mode: the search mode of the item (legacy datasets call it `type`; it is copied to `mode`)
+//     truth entries: a string, { anyOf: string[] } (any one alternative counts) or { regex, flags? } (must match a
+//       whole answer); each entry is one expected answer, so repeated strings must be found repeatedly
+//     match: how string entries compare with answers: 'exact' (default) | 'case-insensitive' | 'url' (canonical
+//       URLs without fragment or trailing "/"), or a list applied in order, e.g. ['url', 'case-insensitive']
+//   DATASET_ITEM_SCHEMA: the JSON Schema items are validated against (schema.js validate); validateDataset adds the
+//     checks it cannot express (one of anyOf / regex per entry, compilable regexes, known match rules, unique names)
+//   validateDataset(items) -> string[]  problems, each naming the item: 'item 3 ("Web Dev"): $.truth: required'
+//   parseDataset(text, { format = 'json' }) -> items  'json' (an array) | 'jsonl' (one item per line, blank lines
+//     skipped) | 'csv' (header row; truth / tags / forbidden / match cells hold a JSON array or '|'-separated values,
+//     content a JSON array or one document)
+//   loadDataset(file) -> Promise<items>  format from the extension (.jsonl / .ndjson, .csv, else json); Node only
+//   truthMatcher(entry, match) -> (answer: string) -> boolean
+//   Error modes: parseDataset / loadDataset throw DatasetError listing every problem (JSONL / CSV name lines).
+
+import { DatasetError } from "./errors.js";
+import { validate } from "./schema.js";
+import { canonicalizeUrl } from "./modes.js";
+
+const STRINGS = { type: "array", items: { type: "string" } };
+
+export const MATCH_RULES = Object.freeze(["exact", "case-insensitive", "url"]);
+
+export const DATASET_ITEM_SCHEMA = Object.freeze({
+  type: "object",
+  required: ["name", "content", "query", "truth"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    content: { type: ["string", "array"], items: { type: ["string", "object"], properties: { text: { type: "string" } }, required: ["text"] } },
+    query: { type: "string", minLength: 1 },
+    truth: {
+      type: "array",
+      items: {
+        type: ["string", "object"],
+        properties: { anyOf: { ...STRINGS, minItems: 1 }, regex: { type: "string", minLength: 1 }, flags: { type: "string" } },
+        additionalProperties: false,
+      },
+    },
+    mode: { type: "string", minLength: 1 },
+    type: { type: "string", minLength: 1 },
+    match: { type: ["string", "array"], items: { type: "string" } },
+    tags: STRINGS,
+    forbidden: STRINGS,
+  },
+});
+
+const TRANSFORMS = {
+  exact: (s) => s,
+  "case-insensitive": (s) => s.toLowerCase(),
+  // Scheme and host case, the fragment and a trailing "/" do not tell two answers apart
+  url: (s) => canonicalizeUrl(s)?.replace(/#.*$/, "").replace(/\/$/, "") ?? s,
+};
+
+const rules = (match = "exact") => (Array.isArray(match) ? match : [match]);
+
+// Whole-answer match: the pattern is anchored at both ends
+const fullRegex = ({ regex, flags = "" }) => new RegExp(`^(?:${regex})$`, flags.replace(/[gy]/g, ""));
+
+export function truthMatcher(entry, match) {
+  if (entry !== null && typeof entry === "object" && entry.regex !== undefined) {
+    const re = fullRegex(entry);
+    return (answer) => re.test(String(answer));
+  }
+  const key = (s) => rules(match).reduce((x, rule) => TRANSFORMS[rule](x), String(s));
+  const wanted = new Set((typeof entry === "object" && entry !== null ? entry.anyOf : [entry]).map(key));
+  return (answer) => wanted.has(key(answer));
+}
+
+const itemLabel = (item, i, labels) => `${labels?.[i] ?? `item ${i + 1}`}${typeof item?.name === "string" ? ` (${JSON.stringify(item.name)})` : ""}`;
+
+export function validateDataset(items, { labels } = {}) {
+  if (!Array.isArray(items)) return ["dataset: expected an array of items"];
+  const problems = [];
+  const names = new Map();
+  items.forEach((item, i) => {
+    const at = itemLabel(item, i, labels);
+    const errors = validate(item, DATASET_ITEM_SCHEMA);
+    if (item && typeof item === "object") {
+      (Array.isArray(item.truth) ? item.truth : []).forEach((t, j) => {
+        if (typeof t !== "object" || t === null) return;
+        if ((t.anyOf === undefined) === (t.regex === undefined)) errors.push(`$.truth[${j}]: needs exactly one of anyOf, regex`);
+        else if (t.regex !== undefined) {
+          try { fullRegex(t); } catch (err) { errors.push(`$.truth[${j}].regex: ${err.message}`); }
+        }
+      });
+      for (const rule of item.match === undefined ? [] : rules(item.match)) {
+        if (!MATCH_RULES.includes(rule)) errors.push(`$.match: unknown rule ${JSON.stringify(rule)} (expected ${MATCH_RULES.join(" | ")})`);
+      }
+      if (item.mode !== undefined && item.type !== undefined && item.mode !== item.type) errors.push("$.type: differs from mode (type is the legacy name of mode)");
+      if (typeof item.name === "string") {
+        if (names.has(item.name)) errors.push(`$.name: also used by ${names.get(item.name)}`);
+        else names.set(item.name, labels?.[i] ?? `item ${i + 1}`);
+      }
+    }
+    problems.push(...errors.map((e) => `${at}: ${e}`));
+  });
+  return problems;
+}
+
+// RFC 4180 records -> { line, cells }[]: quoted cells may hold commas, quotes ("") and newlines
+function csvRecords(text) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endCell = () => { cells.push(cell); cell = ""; };
+  const endRecord = () => {
+    endCell();
+    if (cells.length > 1 || cells[0] !== "") records.push({ line: start, cells });
+    cells = [];
+  };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; } else if (c === '"') quoted = false;
+      else { if (c === "\n") line++; cell += c; }
+    } else if (c === '"' && cell === "") quoted = true;
+    else if (c === ",") endCell();
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      start = ++line;
+    } else cell += c;
+  }
+  if (cell !== "" || cells.length) endRecord();
+  return records;
+}
+
+const LIST_COLUMNS = new Set(["truth", "tags", "forbidden"]);
+
+// One CSV cell -> its field value; JSON arrays are parsed, list columns also take a|b|c
+function csvValue(column, cell) {
+  const s = cell.trim();
+  if ((column === "content" || LIST_COLUMNS.has(column) || column === "match") && s.startsWith("[")) return JSON.parse(s);
+  if (LIST_COLUMNS.has(column)) return s ? s.split("|").map((x) => x.trim()) : [];
+  if (column === "match" && s.includes("|")) return s.split("|").map((x) => x.trim());
+  return cell;
+}
+
+function parseRows(text, format) {
+  if (format === "json") {
+    try { return { items: JSON.parse(text) }; } catch (err) { throw new DatasetError([`JSON: ${err.message}`]); }
+  }
+  const items = [];
+  const labels = [];
+  const problems = [];
+  if (format === "jsonl") {
+    text.split(/\r?\n/).forEach((row, i) => {
+      if (!row.trim()) return;
+      try { items.push(JSON.parse(row)); labels.push(`line ${i + 1}`); } catch (err) { problems.push(`line ${i + 1}: ${err.message}`); }
+    });
+  } else if (format === "csv") {
+    const [header, ...records] = csvRecords(text.replace(/^\uFEFF/, ""));
+    const columns = (header?.cells ?? []).map((c) => c.trim());
+    if (!columns.includes("name")) problems.push("CSV: the header row needs name, content, query and truth columns");
+    for (const { line, cells } of columns.includes("name") ? records : []) {
+      const item = {};
+      try {
+        columns.forEach((column, j) => {
+          if (column && cells[j] !== undefined && cells[j] !== "") item[column] = csvValue(column, cells[j]);
+        });
+        if (item.truth === undefined && columns.includes("truth")) item.truth = [];
+        items.push(item);
+        labels.push(`line ${line}`);
+      } catch (err) {
+        problems.push(`line ${line}: ${err.message}`);
+      }
+    }
+  } else {
+    throw new TypeError(`Unknown dataset format: ${format} (expected json | jsonl | csv)`);
+  }
+  return { items, labels, problems };
+}
+
+export function parseDataset(text, { format = "json" } = {}) {
+  const { items, labels, problems = [] } = parseRows(String(text ?? ""), format);
+  problems.push(...validateDataset(items, { labels }));
+  if (problems.length) throw new DatasetError(problems);
+  return items.map((item) => (item.type !== undefined && item.mode === undefined ? { ...item, mode: item.type } : item));
+}
+
+export async function loadDataset(file) {
+  const { readFile } = await import("node:fs/promises");
+  const text = await readFile(file, "utf-8");
+  const format = /\.(jsonl|ndjson)$/i.test(file) ? "jsonl" : /\.csv$/i.test(file) ? "csv" : "json";
+  try {
+    return parseDataset(text, { format });
+  } catch (err) {
+    if (err instanceof DatasetError) err.message = `${file}: ${err.message}`;
+    throw err;
+  }
+}
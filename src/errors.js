@@ -0,0 +1,107 @@
+// Error classes for vibe-search. Callers can branch on `instanceof` instead of matching messages.
+//   VibeSearchError          base class
+//   MissingParameterError    a required option (apiKey, provider, query, content, ...) was not given
+//   UpstreamError            the model API failed; { status?, retryable, retryAfterMs?, provider? }
+//                            retryable defaults to true for 408 / 429 / 5xx only; toUpstreamError also marks
+//                            network, abort and timeout failures retryable, so a bug in a provider fails fast
+//     RateLimitError         429 / quota exhausted (retryable)
+//     TimeoutError           the call exceeded timeoutMs (retryable)
+//   ParseError               a model or server response could not be parsed; { raw }
+//   DatasetError             an evaluation dataset is malformed; { problems: string[] }, one per bad field or line
+//   FixtureError             a replayed request has no (readable) recorded response; { key }
+
+export class VibeSearchError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+export class MissingParameterError extends VibeSearchError {
+  constructor(param) {
+    super(`Missing ${param}`);
+    this.param = param;
+  }
+}
+
+export class UpstreamError extends VibeSearchError {
+  constructor(message, { status, retryable, retryAfterMs, provider, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.status = status;
+    this.retryable = retryable ?? (status === 408 || status === 429 || status >= 500);
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+  }
+}
+
+export class RateLimitError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { status: 429, ...options, retryable: true });
+  }
+}
+
+export class TimeoutError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+  }
+}
+
+export class ParseError extends VibeSearchError {
+  constructor(message, { raw, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.raw = raw;
+  }
+}
+
+export class DatasetError extends VibeSearchError {
+  constructor(problems) {
+    super(`Invalid dataset (${problems.length} problem${problems.length === 1 ? "" : "s"}):\n  ${problems.join("\n  ")}`);
+    this.problems = problems;
+  }
+}
+
+export class FixtureError extends VibeSearchError {
+  constructor(message, { key, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.key = key;
+  }
+}
+
+// "Retry-After: 12" / HTTP-date header, or Google RetryInfo `"retryDelay": "12s"` in an error body
+export function parseRetryAfter(value) {
+  if (value == null || value === "") return undefined;
+  const s = String(value);
+  const delay = /"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/.exec(s);
+  if (delay) return Math.round(parseFloat(delay[1]) * 1000);
+  if (/^\s*\d+(\.\d+)?\s*$/.test(s)) return Math.round(parseFloat(s) * 1000);
+  const at = Date.parse(s);
+  return Number.isNaN(at) ? undefined : Math.max(0, at - Date.now());
+}
+
+const NETWORK_CODES = /^(ECONNRESET|ECONNREFUSED|ECONNABORTED|ETIMEDOUT|EPIPE|EAI_AGAIN|ENOTFOUND|ENETUNREACH|EHOSTUNREACH|UND_ERR_\w+)$/;
+const NETWORK_MESSAGE = /fetch failed|network error|socket hang up|connection (reset|refused|closed)|\btimed out\b/i;
+
+// A failure of the transport rather than the caller: network errors (also as the `cause` of fetch's TypeError),
+// aborted or timed out requests
+function isTransient(err) {
+  for (let e = err, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    if (NETWORK_CODES.test(String(e.code ?? "")) || e.name === "AbortError" || e.name === "TimeoutError") return true;
+    if (NETWORK_MESSAGE.test(String(e.message ?? ""))) return true;
+  }
+  return false;
+}
+
+// Map an arbitrary provider/SDK/network error onto the classes above
+export function toUpstreamError(err, { provider } = {}) {
+  if (err instanceof VibeSearchError) return err;
+  const message = err?.message ?? String(err);
+  const statusMatch = /\bstatus(?: code)?:?\s*(\d{3})\b/i.exec(message) || /^\s*\[?(\d{3})\b/.exec(message);
+  const status = Number.isInteger(err?.status) ? err.status
+    : Number.isInteger(err?.code) && err.code >= 400 ? err.code
+    : statusMatch ? Number(statusMatch[1]) : undefined;
+  const retryAfterMs = parseRetryAfter(err?.retryAfter) ?? parseRetryAfter(message);
+  // The wording only counts when the status allows a rate limit: a 403 "quota project not set" is not one
+  const limited = status === 429 || ((status === undefined || status === 503) && /RESOURCE_EXHAUSTED|rate limit|quota/i.test(message));
+  if (limited) return new RateLimitError(message, { ...(status !== undefined ? { status } : {}), retryAfterMs, provider, cause: err });
+  return new UpstreamError(message, { status, retryable: status === undefined ? isTransient(err) : undefined, retryAfterMs, provider, cause: err });
+}
@@ -0,0 +1,148 @@
+// Type definitions for vibe-search/eval
+
+import type { Content, NormalizeStep, SearchWithGeminiResult, Usage } from './index';
+
+export { DatasetError } from './index';
+
+/** One expected answer: a string, any one of several alternatives, or a pattern a whole answer must match */
+export type TruthEntry = string | { anyOf: string[] } | { regex: string; flags?: string };
+
+export type MatchRule = 'exact' | 'case-insensitive' | 'url';
+/** How string truth entries compare with answers; a list applies its rules in order */
+export type Match = MatchRule | MatchRule[];
+
+export interface EvalItem {
+  name: string;
+  content: Content;
+  query: string;
+  /** Expected answers; repeats count for text-occurrence items */
+  truth: TruthEntry[];
+  /** Search mode of the item; default 'url' */
+  mode?: string;
+  /** @deprecated Legacy name of `mode` */
+  type?: string;
+  /** Default 'exact'; 'url' compares canonical URLs without fragment or trailing "/" */
+  match?: Match;
+  /** Labels the summary is sliced by (`byTag`) */
+  tags?: string[];
+  /** Answers an injected instruction tries to produce; returning any marks the item hijacked */
+  forbidden?: string[];
+}
+
+export interface RunEvalOptions {
+  dataset: EvalItem[];
+  /** Runs one item's search; a plain answer list is accepted too */
+  searchFn(item: EvalItem, context: { k: number }): Promise<SearchWithGeminiResult<unknown> | unknown[]>;
+  /** Answers scored per item; default 10 */
+  k?: number;
+  /** Items searched at once; default 2 */
+  concurrency?: number;
+  /** Applied to the answers and string truth of url items */
+  normalize?: NormalizeStep | NormalizeStep[];
+  onItem?(item: EvalItemReport, index: number): void;
+}
+
+export interface AnswerScores {
+  precision: number;
+  recall: number;
+  f1: number;
+  /** Average precision */
+  ap: number;
+  /** Reciprocal rank of the first correct answer */
+  mrr: number;
+  /** nDCG@k */
+  ndcg: number;
+}
+
+export interface EvalItemReport extends Partial<AnswerScores> {
+  name: string;
+  tags?: string[];
+  truth: TruthEntry[];
+  pred?: string[];
+  /** Search latency in ms */
+  ms?: number;
+  usage?: Usage;
+  model?: string;
+  finishReason?: string;
+  source?: 'model' | 'fallback' | 'mixed';
+  cached?: boolean;
+  /** Present for items with `forbidden` answers */
+  hijacked?: boolean;
+  /** Present when the search reported a pre-filter: kept `content` indices, out of `documents` non-empty ones */
+  kept?: number[];
+  documents?: number;
+  /** Share of the truth present in the kept documents */
+  prefilterRecall?: number;
+  /** The search failed; the item has no scores */
+  error?: unknown;
+}
+
+export interface EvalSummary {
+  /** Scored items; failed ones are left out of every mean */
+  count: number;
+  failed: number;
+  precision: number;
+  recall: number;
+  f1: number;
+  map: number;
+  mrr: number;
+  ndcg: number;
+  avgMs: number;
+  tokensIn: number;
+  tokensOut: number;
+  hijackRate?: number;
+  prefilterRecall?: number;
+  /** Kept documents over all documents, across pre-filtered items */
+  docsKept?: number;
+  /** Means over the scored items carrying each tag */
+  byTag?: Record<string, { count: number; precision: number; recall: number; f1: number; map: number; mrr: number; ndcg: number }>;
+}
+
+export interface EvalReport {
+  items: EvalItemReport[];
+  summary: EvalSummary;
+}
+
+export declare function runEval(options: RunEvalOptions): Promise<EvalReport>;
+
+/** Multiset-aware: an answer expected twice must be predicted twice; each prediction takes the first unmatched entry accepting it */
+export declare function precisionRecallF1(pred: string[], truth: TruthEntry[], options?: { match?: Match }): { precision: number; recall: number; f1: number; tp: number; predCount: number; truthCount: number };
+export declare function averagePrecision(pred: string[], truth: TruthEntry[], options?: { match?: Match }): number;
+export declare function reciprocalRank(pred: string[], truth: TruthEntry[], options?: { match?: Match }): number;
+export declare function ndcgAtK(pred: string[], truth: TruthEntry[], k?: number, options?: { match?: Match }): number;
+/** All metrics over the first k predictions */
+export declare function scoreAnswers(pred: string[], truth: TruthEntry[], options?: { k?: number; match?: Match }): AnswerScores;
+/** Share of `item.truth` found (case-insensitively) in the kept `content` documents */
+export declare function prefilterRecall(item: Pick<EvalItem, 'content' | 'truth'>, kept: number[]): number;
+
+export type ComparedMetric = 'precision' | 'recall' | 'f1' | 'map' | 'mrr' | 'ndcg';
+export declare const COMPARED_METRICS: readonly ComparedMetric[];
+
+/** An EvalReport, or a report saved by the evaluation script ({ rows, summary }) */
+export type ComparableReport = { items: EvalItemReport[]; summary: Partial<Record<ComparedMetric, number>> } | { rows: Array<{ name: string; error?: unknown } & Partial<Record<'precision' | 'recall' | 'f1' | 'ap' | 'mrr' | 'ndcg', number>>>; summary: Partial<Record<ComparedMetric, number>> };
+
+export interface Comparison {
+  metric: ComparedMetric;
+  threshold: number;
+  /** delta = candidate - baseline */
+  summary: Record<ComparedMetric, { baseline: number; candidate: number; delta: number }>;
+  items: { name: string; status: 'compared' | 'added' | 'removed' | 'failed'; deltas?: Record<ComparedMetric, number> }[];
+  /** Items whose `metric` fell by more than `threshold` */
+  regressed: string[];
+  /** How far the summary `metric` fell; 0 when it did not */
+  drop: number;
+  passed: boolean;
+}
+
+/** Matches items by name; threshold is absolute, in metric units (default metric f1, threshold 0) */
+export declare function compareReports(baseline: ComparableReport, candidate: ComparableReport, options?: { metric?: ComparedMetric; threshold?: number }): Comparison;
+
+export declare const MATCH_RULES: readonly MatchRule[];
+/** JSON Schema of one dataset item; validateDataset adds the checks it cannot express */
+export declare const DATASET_ITEM_SCHEMA: Readonly<Record<string, unknown>>;
+/** Problems found, each naming its item; empty when the dataset is valid */
+export declare function validateDataset(items: unknown): string[];
+/** Throws DatasetError listing every problem; legacy `type` is copied to `mode` */
+export declare function parseDataset(text: string, options?: { format?: 'json' | 'jsonl' | 'csv' }): EvalItem[];
+/** Node only; the format follows the extension (.jsonl / .ndjson, .csv, else JSON) */
+export declare function loadDataset(file: string): Promise<EvalItem[]>;
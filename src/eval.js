@@ -0,0 +1,244 @@
+// Evaluation: retrieval metrics and a dataset runner for benchmarking search configurations in code or CI.
+// Published as `vibe-search/eval`.
+// Contract:
+//   Metrics take predicted answers (string[]) and truth entries (dataset.js: strings, { anyOf } or { regex }) and
+//   are multiset-aware: an answer expected twice must be predicted twice (text-occurrence tasks), and a repeated
+//   prediction counts once per expected copy. Each prediction, in order, takes the first unmatched entry that
+//   accepts it under `match` ('exact' by default, 'case-insensitive', 'url' or a list; dataset.js truthMatcher).
+//     precisionRecallF1(pred, truth, { match }) -> { precision, recall, f1, tp, predCount, truthCount }
+//     averagePrecision(pred, truth, { match }), reciprocalRank(pred, truth, { match }),
+//     ndcgAtK(pred, truth, k = pred.length, { match }) -> number
+//     scoreAnswers(pred, truth, { k, match }) -> { precision, recall, f1, ap, mrr, ndcg }  (pred cut to k)
+//     prefilterRecall(item, kept) -> number  share of truth entries present in the kept `content` documents
+//   runEval({ dataset, searchFn, k = 10, concurrency = 2, normalize, onItem }) -> Promise<EvalReport>
+//     dataset: items as described in dataset.js ({ name, content, query, truth, mode?, match?, tags?, forbidden? });
+//       `type` is read as a legacy name of `mode` (default 'url')
+//     searchFn(item, { k }) -> Promise<search result | answers[]>  e.g. (item) => search({ ...item, provider })
+//       answers are compared as strings; document matches by their id (or index)
+//     normalize: answer normalization steps (createNormalizer) applied to predictions and string truth of url items
+//     onItem(itemReport, index) is called as each item finishes
+//   EvalReport: { items: EvalItemReport[], summary: EvalSummary }
+//     item: { name, tags?, pred, truth, precision, recall, f1, ap, mrr, ndcg, ms, usage?, model?, finishReason?,
+//             source?, cached, hijacked?, kept?, documents?, prefilterRecall?, error? }  (a failed search has only
+//             name, tags, truth and error; kept / documents: what the pre-filter kept out of how many non-empty documents)
+//     summary: means over the scored items { count, failed, precision, recall, f1, map, mrr, ndcg, avgMs, tokensIn,
+//              tokensOut, hijackRate?, prefilterRecall?, docsKept?, byTag? }
+//       byTag: { [tag]: { count, precision, recall, f1, map, mrr, ndcg } } over the scored items carrying the tag
+//   compareReports(baseline, candidate, { metric = 'f1', threshold = 0 }) -> Comparison
+//     reports: EvalReports, or saved { rows, summary } reports of the evaluation script; items matched by name
+//     Comparison: { metric, threshold, summary: { [m]: { baseline, candidate, delta } },
+//                   items: { name, status: 'compared' | 'added' | 'removed' | 'failed', deltas?: { [m]: number } }[],
+//                   regressed: string[], drop, passed }
+//     delta = candidate - baseline; drop = the fall of the summary `metric` (0 when it rose); passed unless drop
+//     exceeds `threshold` (absolute, in metric units). regressed: items whose `metric` fell by more than it.
+//     Metrics: precision, recall, f1, map (ap per item), mrr, ndcg.
+//   Datasets: parseDataset, loadDataset, validateDataset, DATASET_ITEM_SCHEMA, MATCH_RULES (dataset.js), DatasetError
+//   Error modes: runEval throws MissingParameterError without a dataset array or searchFn; a failing search
+//   is reported on its item and never fails the run. compareReports throws TypeError on an unknown metric.
+
+import { MissingParameterError } from "./errors.js";
+import { promisePool } from "./pool.js";
+import { createNormalizer } from "./normalize.js";
+import { truthMatcher } from "./dataset.js";
+import { normalizeContent } from "./chunking.js";
+
+export { DatasetError } from "./errors.js";
+export { DATASET_ITEM_SCHEMA, MATCH_RULES, validateDataset, parseDataset, loadDataset } from "./dataset.js";
+
+// For each prediction in order: whether it matches an expected entry not matched before
+function hits(pred, truth, { match } = {}) {
+  const open = truth.map((t) => truthMatcher(t, match));
+  return pred.map((p) => {
+    const i = open.findIndex((accepts) => accepts?.(p));
+    if (i >= 0) open[i] = null;
+    return i >= 0;
+  });
+}
+
+export function precisionRecallF1(pred, truth, options) {
+  const tp = hits(pred, truth, options).filter(Boolean).length;
+  const precision = pred.length ? tp / pred.length : 0;
+  const recall = truth.length ? tp / truth.length : 0;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1, tp, predCount: pred.length, truthCount: truth.length };
+}
+
+export function averagePrecision(pred, truth, options) {
+  if (!truth.length) return 0;
+  let found = 0;
+  let sum = 0;
+  hits(pred, truth, options).forEach((hit, i) => { if (hit) sum += ++found / (i + 1); });
+  return sum / truth.length;
+}
+
+export function reciprocalRank(pred, truth, options) {
+  const first = hits(pred, truth, options).indexOf(true);
+  return first < 0 ? 0 : 1 / (first + 1);
+}
+
+export function ndcgAtK(pred, truth, k = pred.length, options) {
+  if (!truth.length) return 0;
+  const dcg = hits(pred.slice(0, k), truth, options).reduce((sum, hit, i) => sum + (hit ? 1 / Math.log2(i + 2) : 0), 0);
+  let ideal = 0;
+  for (let i = 0; i < Math.min(k, truth.length); i++) ideal += 1 / Math.log2(i + 2);
+  return ideal > 0 ? dcg / ideal : 0;
+}
+
+export function scoreAnswers(pred, truth, { k = pred.length, match } = {}) {
+  const top = pred.slice(0, k);
+  const options = { match };
+  const { precision, recall, f1 } = precisionRecallF1(top, truth, options);
+  return { precision, recall, f1, ap: averagePrecision(top, truth, options), mrr: reciprocalRank(top, truth, options), ndcg: ndcgAtK(top, truth, k, options) };
+}
+
+// Case-insensitive, trailing "/" ignored: a URL answer counts as present in its canonical or written form.
+// An anyOf entry is present when one alternative is; a regex entry when it matches inside a document.
+export function prefilterRecall(item, kept) {
+  if (!item.truth.length) return 1;
+  const texts = normalizeContent(item.content).map((d) => d.text);
+  const docs = kept.map((i) => texts[i] ?? "");
+  const lower = docs.map((d) => d.toLowerCase());
+  const found = item.truth.filter((t) => {
+    if (t?.regex !== undefined) {
+      const re = new RegExp(t.regex, (t.flags ?? "").replace(/[gy]/g, ""));
+      return docs.some((d) => re.test(d));
+    }
+    return (t?.anyOf ?? [t]).some((alt) => {
+      const needle = String(alt).toLowerCase().replace(/\/$/, "");
+      return lower.some((d) => d.includes(needle));
+    });
+  });
+  return found.length / item.truth.length;
+}
+
+// Document matches ({ index, id? }) are compared by id, or by index
+const answerText = (x) => (x !== null && typeof x === "object" ? String(x.id ?? x.index ?? x.text ?? JSON.stringify(x)) : String(x));
+
+const mean = (items, pick) => (items.length ? items.reduce((sum, x) => sum + pick(x), 0) / items.length : 0);
+
+const means = (scored) => ({
+  precision: mean(scored, (x) => x.precision),
+  recall: mean(scored, (x) => x.recall),
+  f1: mean(scored, (x) => x.f1),
+  map: mean(scored, (x) => x.ap),
+  mrr: mean(scored, (x) => x.mrr),
+  ndcg: mean(scored, (x) => x.ndcg),
+});
+
+function summarize(items) {
+  const scored = items.filter((x) => !x.error);
+  const attacked = scored.filter((x) => x.hijacked !== undefined);
+  const filtered = scored.filter((x) => x.kept);
+  const tags = [...new Set(scored.flatMap((x) => x.tags ?? []))];
+  return {
+    count: scored.length,
+    failed: items.length - scored.length,
+    ...means(scored),
+    avgMs: mean(scored, (x) => x.ms),
+    tokensIn: scored.reduce((sum, x) => sum + (x.usage?.promptTokens ?? 0), 0),
+    tokensOut: scored.reduce((sum, x) => sum + (x.usage?.outputTokens ?? 0), 0),
+    ...(attacked.length ? { hijackRate: attacked.filter((x) => x.hijacked).length / attacked.length } : {}),
+    ...(filtered.length ? {
+      prefilterRecall: mean(filtered, (x) => x.prefilterRecall),
+      docsKept: filtered.reduce((sum, x) => sum + x.kept.length, 0) / Math.max(1, filtered.reduce((sum, x) => sum + x.documents, 0)),
+    } : {}),
+    ...(tags.length ? {
+      byTag: Object.fromEntries(tags.map((tag) => {
+        const tagged = scored.filter((x) => x.tags?.includes(tag));
+        return [tag, { count: tagged.length, ...means(tagged) }];
+      })),
+    } : {}),
+  };
+}
+
+export async function runEval({ dataset, searchFn, k = 10, concurrency = 2, normalize, onItem } = {}) {
+  if (!Array.isArray(dataset)) throw new MissingParameterError("dataset");
+  if (typeof searchFn !== "function") throw new MissingParameterError("searchFn");
+  const normalizer = normalize ? createNormalizer(normalize) : null;
+  // Occurrence (text) items are compared exactly as written
+  const normalized = (item) => normalizer && (item.mode ?? item.type ?? "url") === "url";
+  const prepare = (item, list) => {
+    const answers = (list || []).map(answerText);
+    return normalized(item) ? answers.map(normalizer).filter(Boolean) : answers;
+  };
+  // Truth entries: strings and anyOf alternatives are prepared like answers; patterns stay as written
+  const prepareTruth = (item) => (item.truth || []).flatMap((t) => {
+    if (t?.regex !== undefined) return [t];
+    if (!Array.isArray(t?.anyOf)) return prepare(item, [t]);
+    const anyOf = prepare(item, t.anyOf);
+    return anyOf.length ? [{ anyOf }] : [];
+  });
+
+  const settled = await promisePool(dataset, concurrency, async (item, i) => {
+    const truth = prepareTruth(item);
+    const tags = item.tags?.length ? { tags: item.tags } : {};
+    const started = Date.now();
+    let report;
+    try {
+      const res = await searchFn(item, { k });
+      const result = Array.isArray(res) ? { answers: res } : (res ?? {});
+      const pred = prepare(item, result.answers).slice(0, k);
+      report = {
+        name: item.name,
+        ...tags,
+        pred,
+        truth,
+        ...scoreAnswers(pred, truth, { k, match: item.match }),
+        ms: result.latencyMs ?? Date.now() - started,
+        ...(result.usage ? { usage: result.usage } : {}),
+        ...(result.model ? { model: result.model } : {}),
+        ...(result.finishReason ? { finishReason: result.finishReason } : {}),
+        ...(result.source ? { source: result.source } : {}),
+        cached: Boolean(result.cached),
+      };
+      // Injection items list `forbidden` answers: an item is hijacked when any of them comes back
+      if (item.forbidden) report.hijacked = item.forbidden.some((f) => pred.includes(String(f)));
+      if (result.prefilter?.kept) {
+        Object.assign(report, { kept: result.prefilter.kept, documents: normalizeContent(item.content).filter((d) => d.text).length, prefilterRecall: prefilterRecall({ ...item, truth }, result.prefilter.kept) });
+      }
+    } catch (error) {
+      report = { name: item.name, ...tags, truth, error };
+    }
+    onItem?.(report, i);
+    return report;
+  });
+  const items = settled.map((s) => s.value);
+  return { items, summary: summarize(items) };
+}
+
+export const COMPARED_METRICS = Object.freeze(["precision", "recall", "f1", "map", "mrr", "ndcg"]);
+// Float noise must not turn an equal score into a regression
+const EPSILON = 1e-9;
+// Per-item reports call average precision `ap`
+const itemMetric = (m) => (m === "map" ? "ap" : m);
+
+const reportItems = (report) => report?.items ?? report?.rows ?? [];
+
+export function compareReports(baseline, candidate, { metric = "f1", threshold = 0 } = {}) {
+  if (!COMPARED_METRICS.includes(metric)) throw new TypeError(`Unknown metric: ${metric} (expected ${COMPARED_METRICS.join(" | ")})`);
+  const before = new Map(reportItems(baseline).map((r) => [r.name, r]));
+  const after = new Map(reportItems(candidate).map((r) => [r.name, r]));
+  const items = [...new Set([...before.keys(), ...after.keys()])].map((name) => {
+    const b = before.get(name);
+    const c = after.get(name);
+    if (!b) return { name, status: "added" };
+    if (!c) return { name, status: "removed" };
+    if (b.error || c.error) return { name, status: "failed" };
+    return { name, status: "compared", deltas: Object.fromEntries(COMPARED_METRICS.map((m) => [m, (c[itemMetric(m)] ?? 0) - (b[itemMetric(m)] ?? 0)])) };
+  });
+  const summary = Object.fromEntries(COMPARED_METRICS.map((m) => {
+    const b = baseline?.summary?.[m] ?? 0;
+    const c = candidate?.summary?.[m] ?? 0;
+    return [m, { baseline: b, candidate: c, delta: c - b }];
+  }));
+  const drop = Math.max(0, -summary[metric].delta);
+  return {
+    metric,
+    threshold,
+    summary,
+    items,
+    regressed: items.filter((x) => x.deltas && -x.deltas[metric] > threshold + EPSILON).map((x) => x.name),
+    drop,
+    passed: drop <= threshold + EPSILON,
+  };
+}
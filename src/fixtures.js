@@ -0,0 +1,135 @@
+// Record / replay fixtures: model calls saved to files and served back, so the whole search pipeline (prompting,
+// parsing, fallback, verification, ranking) runs offline and deterministically in tests and CI.
+// Contract:
+//   recordFixtures(provider, { dir }) -> provider  calls `provider` and writes every request with its response to
+//     `${dir}/${key}.json`; generate, stream and embed are recorded (a stream once it has been read to the end).
+//     The recorder has no cacheContext, so recorded prompts always carry the corpus.
+//   createReplayProvider({ dir, name = 'replay', model = 'replay' }) -> provider  answers from the fixtures only:
+//     generate, stream (the recorded deltas, or the whole response as one) and embed
+//     replay.misses: { key, kind, prompt? }[]  the unrecorded requests so far
+//   fixtureKey(kind, request) -> Promise<string>  SHA-256 of the request: for 'generate' { prompt, options }, for
+//     'embed' { texts, options }. signal and cachedContent are left out; stream and generate share keys.
+//     The provider's default model is not part of the key: record and replay with the same search options.
+//   fixture file: { kind, provider, model, request: { prompt | texts, options }, response?: { text, usage?,
+//     finishReason?, model? }, stream?: delta[], vectors?: number[][] }  pretty-printed, no timestamps, so
+//     re-recording an unchanged run leaves the files unchanged. Provider-native payloads (`response`) are not kept.
+//   Error modes: replay rejects with FixtureError (not retried) on an unrecorded request or an unreadable
+//   fixture; the recorder rejects with the wrapped provider's error, or the file system's.
+
+import { FixtureError, MissingParameterError } from "./errors.js";
+import { cacheKey } from "./cache.js";
+
+const defined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+// Options that identify a request; sorted, so the order they were set in does not matter
+const keyOptions = ({ signal, cachedContent, ...options } = {}) => defined(Object.fromEntries(Object.entries(options).sort(([a], [b]) => (a < b ? -1 : 1))));
+
+export function fixtureKey(kind, { prompt, texts, options } = {}) {
+  return cacheKey(kind === "embed" ? { fixture: kind, texts, options: keyOptions(options) } : { fixture: kind, prompt, options: keyOptions(options) });
+}
+
+function fixtureFiles(dir) {
+  if (!dir) throw new MissingParameterError("dir");
+  let fsp;
+  const fs = async () => (fsp ??= await import("node:fs/promises"));
+  const file = (key) => `${String(dir).replace(/[\\/]+$/, "")}/${key}.json`;
+  return {
+    file,
+    async read(key) {
+      let text;
+      try { text = await (await fs()).readFile(file(key), "utf-8"); } catch (err) { if (err.code === "ENOENT") return undefined; throw err; }
+      return JSON.parse(text);
+    },
+    async write(key, fixture) {
+      const { mkdir, writeFile } = await fs();
+      await mkdir(dir, { recursive: true });
+      await writeFile(file(key), `${JSON.stringify(fixture, null, 2)}\n`, "utf-8");
+    },
+  };
+}
+
+const recorded = ({ text, usage, finishReason, model }) => defined({ text, usage, finishReason, model });
+
+export function recordFixtures(provider, { dir } = {}) {
+  const files = fixtureFiles(dir);
+  const save = async (kind, request, payload) => {
+    const key = await fixtureKey(kind, request);
+    await files.write(key, { kind, provider: provider.name, model: provider.model, request: { ...request, options: keyOptions(request.options) }, ...payload });
+  };
+  const recorder = {
+    name: provider.name,
+    model: provider.model,
+    async generate(prompt, options) {
+      const result = await provider.generate(prompt, options);
+      await save("generate", { prompt, options }, { response: recorded(result) });
+      return result;
+    },
+  };
+  if (typeof provider.stream === "function") {
+    recorder.stream = async (prompt, options) => {
+      const deltas = await provider.stream(prompt, options);
+      return (async function* () {
+        const seen = [];
+        for await (const delta of deltas) {
+          seen.push(recorded(delta));
+          yield delta;
+        }
+        await save("generate", { prompt, options }, { stream: seen });
+      })();
+    };
+  }
+  if (typeof provider.embed === "function") {
+    recorder.embeddingModel = provider.embeddingModel;
+    recorder.embed = async (texts, options) => {
+      const vectors = await provider.embed(texts, options);
+      await save("embed", { texts, options }, { vectors });
+      return vectors;
+    };
+  }
+  return recorder;
+}
+
+// Stream deltas -> one generate result: the texts joined, the last usage / finish reason / model reported
+function joined(stream) {
+  const last = (field) => stream.findLast((d) => d[field] !== undefined)?.[field];
+  return defined({ text: stream.map((d) => d.text ?? "").join(""), usage: last("usage"), finishReason: last("finishReason"), model: last("model") });
+}
+
+export function createReplayProvider({ dir, name = "replay", model = "replay" } = {}) {
+  const files = fixtureFiles(dir);
+  const misses = [];
+  const load = async (kind, request) => {
+    const key = await fixtureKey(kind, request);
+    let fixture;
+    try {
+      fixture = await files.read(key);
+    } catch (err) {
+      throw new FixtureError(`Cannot read fixture ${files.file(key)}: ${err.message}`, { key, cause: err });
+    }
+    if (!fixture) {
+      misses.push(defined({ key, kind, prompt: request.prompt }));
+      throw new FixtureError(`No recorded ${kind} response for this request (${files.file(key)}); record it with recordFixtures`, { key });
+    }
+    return fixture;
+  };
+  return {
+    name,
+    model,
+    embeddingModel: model,
+    misses,
+    async generate(prompt, options) {
+      const fixture = await load("generate", { prompt, options });
+      return { ...(fixture.response ?? joined(fixture.stream ?? [])) };
+    },
+    async stream(prompt, options) {
+      const fixture = await load("generate", { prompt, options });
+      const deltas = fixture.stream ?? [fixture.response];
+      return (async function* () {
+        for (const delta of deltas) yield { ...delta };
+      })();
+    },
+    async embed(texts, options) {
+      return (await load("embed", { texts, options })).vectors;
+    },
+  };
+}
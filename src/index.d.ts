@@ -1,19 +1,593 @@
 // Type definitions for vibe-search-gemini
 // Minimal TypeScript declarations for consumers
 
-export interface SearchWithGeminiOptions {
-  content: string | string[];
-  query: string;
-  apiKey: string;
+/** The JSON Schema subset understood by the validator */
+export interface JSONSchema {
+  type?: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null' | Array<'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'>;
+  properties?: Record<string, JSONSchema>;
+  required?: string[];
+  items?: JSONSchema;
+  enum?: unknown[];
+  additionalProperties?: false;
+  minItems?: number;
+  maxItems?: number;
+  minLength?: number;
+  minimum?: number;
+  maximum?: number;
+  description?: string;
+}
+
+/** Gemini safety setting, e.g. { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' } */
+export interface SafetySetting {
+  category: string;
+  threshold: string;
+  method?: string;
+}
+
+/** Generation settings; providers ignore those their backend has no equivalent for */
+export interface GenerationOptions {
   model?: string;
+  /** Max output tokens per model call; default 2048 */
   maxTokens?: number;
-  mode?: 'url' | 'text';
+  /** Default 0.2 */
+  temperature?: number;
+  topP?: number;
+  /** Gemini only */
+  topK?: number;
+  stopSequences?: string[];
+  seed?: number;
+  /** Gemini only */
+  safetySettings?: SafetySetting[];
+  /** Sent as Gemini's systemInstruction / an OpenAI system message, ahead of the built-in prompt instructions */
+  systemInstruction?: string;
+}
+
+export interface GenerateOptions extends GenerationOptions {
+  /** Handle returned by Provider.cacheContext; the prompt then omits the cached corpus */
+  cachedContent?: string;
+  /** Request structured JSON output matching this schema where the backend supports it */
+  responseSchema?: JSONSchema;
+  /** Aborted on timeout or cancellation; providers should pass it to their HTTP client */
+  signal?: AbortSignal;
+}
+
+export interface GenerateResult {
+  text: string;
+  usage?: Usage;
+  /** As reported by the backend, e.g. 'STOP' / 'MAX_TOKENS' (Gemini), 'stop' / 'length' (OpenAI) */
+  finishReason?: string;
+  /** Model that answered, as reported by the backend */
+  model?: string;
+  /** Provider-native response payload */
+  response?: unknown;
+}
+
+export interface Usage {
+  promptTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+}
+
+export interface StreamDelta {
+  /** Newly generated text */
+  text: string;
+  usage?: Usage;
+  finishReason?: string;
+  model?: string;
+  response?: unknown;
+}
+
+export interface Provider {
+  name: string;
+  model: string;
+  generate(prompt: string, options?: GenerateOptions): Promise<GenerateResult>;
+  /** Resolves once the request is accepted; optional */
+  stream?(prompt: string, options?: GenerateOptions): Promise<AsyncIterable<StreamDelta>>;
+  /** Uploads text once as cached context (Gemini context caching); optional */
+  cacheContext?(text: string, options?: { model?: string; systemInstruction?: string; ttlMs?: number }): Promise<ContextCache>;
+  /** One embedding vector per text, with `embeddingModel` unless `model` is given; optional */
+  embed?: EmbedFunction;
+  embeddingModel?: string;
+}
+
+export type EmbedFunction = (texts: string[], options?: { model?: string; signal?: AbortSignal }) => Promise<number[][]>;
+
+export interface ContextCache {
+  /** Passed to generate as `cachedContent` */
+  name: string;
+  dispose?(): void | Promise<void>;
 }
 
-export interface SearchWithGeminiResult {
+/** The part of the @google/genai client the Gemini provider uses */
+export interface GeminiClient {
+  caches?: {
+    create(request: { model: string; config: Record<string, unknown> }): Promise<{ name?: string }>;
+    delete(request: { name: string }): Promise<unknown>;
+  };
+  models: {
+    generateContent(request: { model: string; contents: string; config: Record<string, unknown> }): Promise<unknown>;
+    generateContentStream?(request: { model: string; contents: string; config: Record<string, unknown> }): Promise<AsyncIterable<unknown>>;
+    embedContent?(request: { model: string; contents: string[] }): Promise<{ embeddings?: { values?: number[] }[] }>;
+  };
+}
+
+export interface GeminiProviderOptions {
+  /** Required unless `client` is given */
+  apiKey?: string;
+  model?: string;
+  /** Default text-embedding-004 */
+  embeddingModel?: string;
+  /** Use this client instead of creating a GoogleGenAI one (e.g. a fake in tests) */
+  client?: GeminiClient;
+}
+
+export interface OpenAIProviderOptions {
+  model: string;
+  apiKey?: string;
+  /** Default text-embedding-3-small */
+  embeddingModel?: string;
+  /** Defaults to https://api.openai.com/v1 */
+  baseUrl?: string;
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+  /** How responseSchema is sent: 'json_schema' (default), 'json_object', or false to omit response_format */
+  responseFormat?: 'json_schema' | 'json_object' | false;
+}
+
+export interface SearchOptions extends GenerationOptions {
+  content: Content;
+  query: string;
+  provider: Provider;
+  /** Registered mode name; default 'url' */
+  mode?: 'url' | 'text' | (string & {});
+  /** Prompt template (see definePromptTemplate); default DEFAULT_PROMPT_TEMPLATE */
+  prompt?: PromptTemplateOptions | PromptTemplate;
+  /** Per-chunk corpus budget in characters; takes precedence over maxChunkTokens */
+  maxChunkChars?: number;
+  /** Per-chunk corpus budget in (estimated) tokens; default 200000 */
+  maxChunkTokens?: number;
+  /** Max chunks searched in parallel; default 2 */
+  concurrency?: number;
+  /** 'multiset' keeps duplicates across chunks, 'unique' keeps the first of each answer; default follows the mode's `dedupe` */
+  merge?: 'multiset' | 'unique';
+  /** Ask the model to cite a source document per answer and return located `matches` */
+  provenance?: boolean;
+  /** Characters of context on each side of a match in `snippet`; default 40 */
+  snippetRadius?: number;
+  /** Schema of one answer; default { type: 'string', minLength: 1 }. Object schemas make `answers` objects. */
+  answerSchema?: JSONSchema;
+  /** What to do when model output cannot be parsed: 'local' (default) runs the mode's local matcher, 'none' returns no answers, 'throw' raises ParseError */
+  fallback?: 'none' | 'local' | 'throw';
+  /** Drop answers that do not occur in the corpus and list them in `rejected`; default true */
+  verify?: boolean;
+  /** Ask the model for a relevance score (0..1) and reason per answer, sort answers by score and return `ranked` */
+  rank?: boolean;
+  /** Keep only the first (with `rank`, the best-scored) answers; unrelated to the `topK` sampling setting */
+  maxAnswers?: number;
+  /** Send only the BM25-best (or, with method 'vector', the most similar) documents: true (20), a document count, or options; default off */
+  prefilter?: boolean | number | PrefilterOptions | VectorPrefilterOptions;
+  /** Normalization steps for string answers, replacing the mode's; false = none */
+  normalize?: NormalizeStep[] | ((answer: string) => string | null) | false;
+  /** Keep only the first of equal answers; default: the mode's (url true, text false) */
+  dedupe?: boolean;
+  /** Sample the search several times and keep the answers enough samples agree on: true (3 samples), a sample count, or options; search only */
+  consistency?: boolean | number | ConsistencyOptions;
+  /** Cache for parsed model responses; false bypasses the default cache for this call */
+  cache?: Cache | false;
+  /** TTL for entries written by this call; defaults to the cache's own TTL */
+  cacheTtlMs?: number;
+  /** Options for the local matcher used by fallback: 'local' */
+  local?: LocalMatchOptions;
+  /** Per-call timeout in ms (each attempt); default none */
+  timeoutMs?: number;
+  /** Retries for retryable failures (408, 429, 5xx, network, timeout); default 2 */
+  retries?: number;
+  /** Base backoff delay in ms (exponential, full jitter); default 500 */
+  retryDelayMs?: number;
+  /** Backoff cap in ms; a longer retry-after hint fails the call at once instead of waiting; default 20000 */
+  maxRetryDelayMs?: number;
+  /** Cancels the whole search, rejecting with the signal's reason */
+  signal?: AbortSignal;
+  onRetry?(info: { attempt: number; delayMs: number; error: UpstreamError }): void;
+}
+
+export interface ModeExample {
+  corpus: string;
+  query: string;
   answers: string[];
+}
+
+export interface ModeDefinition {
+  /** Task description placed in the prompt */
+  instructions: string;
+  examples?: ModeExample[];
+  /** Canonicalize an answer (a function, or normalization steps); null drops it */
+  normalize?: NormalizeStep[] | ((answer: string) => string | null);
+  /** Return false to drop an answer */
+  validate?(answer: string, context: { corpus: string; query: string }): boolean;
+  /** The `verify` post-check, for the normalized answer and as the model wrote it; default: it (or the model's text) is a substring of the corpus */
+  occursIn?(answer: string, corpus: string, index?: unknown): boolean;
+  /** Built once per chunk and passed to occursIn as `index`, so the check does not rescan the corpus per answer */
+  corpusIndex?(corpus: string): unknown;
+  /** Keep only the first of equal answers */
+  dedupe?: boolean;
+  /** Local extraction used when the model output cannot be parsed */
+  fallback?(corpus: string, query: string, localOptions?: LocalMatchOptions): string[];
+  /** Retrieval: answers are the matching `content` documents (DocumentMatch), ranked */
+  documents?: boolean;
+}
+
+export interface SearchWithGeminiOptions extends Omit<SearchOptions, 'provider'> {
+  /** Required unless `client` is given */
+  apiKey?: string;
+  client?: GeminiClient;
+}
+
+export interface ChunkReport {
+  total: number;
+  /** Indices of chunks that were searched successfully */
+  searched: number[];
+  failed: { index: number; docs: number[]; error: string }[];
+  /** Searched chunks answered by the local matcher */
+  fallback: number[];
+  /** Searched chunks whose model output could not be parsed */
+  unparsed: number[];
+  /** Searched chunks answered from the cache */
+  cached: number[];
+}
+
+export interface LocalMatchOptions {
+  /** Default true */
+  caseSensitive?: boolean;
+  /** Only match tokens between non-word characters; default false */
+  wholeWord?: boolean;
+  /** Max edit distance between a corpus word and a query token; default 0 (exact) */
+  fuzzy?: number;
+  /** Unicode normalization form applied to corpus and query */
+  normalize?: 'NFC' | 'NFD' | 'NFKC' | 'NFKD';
+  /** Default 200 */
+  maxResults?: number;
+}
+
+export interface LocalSearchOptions extends LocalMatchOptions {
+  content: Content;
+  query: string;
+}
+
+/** Cost and origin of a search result */
+export interface ResultMeta {
+  /** Summed over the model calls made; cache hits cost nothing; undefined when the provider reports none */
+  usage?: Usage;
+  /** Wall-clock time of the whole search */
+  latencyMs: number;
+  /** Model that answered (as reported, else as requested) */
+  model: string;
+  /** First abnormal finish reason across chunks, else the first one */
+  finishReason?: string;
+  /** Every searched chunk was answered from the cache */
+  cached: boolean;
+  /** Version of the prompt template used */
+  promptVersion: string;
+}
+
+export interface PromptTemplateOptions {
+  /** Identifies the template in cache keys and results; required */
+  version: string | number;
+  /** Task description; replaces the mode's instructions */
+  instructions?: string;
+  /** Domain rules listed after the task */
+  rules?: string[];
+  /** Few-shot examples; replace the mode's ([] = none) */
+  examples?: ModeExample[];
+  /** Placed ahead of the prompt instructions in the system instruction unless the search passes systemInstruction */
+  systemInstruction?: string;
+}
+
+export interface PromptTemplate extends Readonly<PromptTemplateOptions> {
+  readonly version: string;
+  readonly rules: readonly string[];
+}
+
+/** 'model': every searched chunk was answered by the model; 'fallback': all by the local matcher */
+export type AnswerSource = 'model' | 'fallback' | 'mixed';
+
+export interface Chunk {
+  index: number;
+  text: string;
+  /** Indices into the original `content` array */
+  docs: number[];
+}
+
+export interface Match {
+  text: string;
+  /** Index into `content` (0 for string content); null when not found */
+  docIndex: number | null;
+  start: number | null;
+  end: number | null;
+  snippet: string | null;
+  /** false when the answer does not occur verbatim in the corpus (possibly hallucinated) */
+  verified: boolean;
+}
+
+/** One corpus document; only `text` is searched, `id` and `metadata` come back in document matches */
+export interface CorpusDocument {
+  id?: string | number;
+  text: string;
+  metadata?: unknown;
+}
+
+export type Content = string | (string | CorpusDocument)[];
+
+export interface NormalizedDocument extends CorpusDocument {
+  /** Position in the `content` array */
+  index: number;
+}
+
+/** An answer of the 'documents' mode */
+export interface DocumentMatch {
+  index: number;
+  id?: string | number;
+  /** Relevance in [0, 1]; undefined when found by the local fallback */
+  score?: number;
+  reason?: string;
+  metadata?: unknown;
+}
+
+export interface PrefilterOptions {
+  method?: 'bm25';
+  /** Documents kept; default 20 */
+  topN?: number;
+  /** BM25 term-frequency saturation; default 1.2 */
+  k1?: number;
+  /** BM25 length normalization; default 0.75 */
+  b?: number;
+}
+
+export interface VectorPrefilterOptions {
+  method: 'vector';
+  /** Documents kept; default 20 */
+  topN?: number;
+  /** Default: provider.embed */
+  embed?: EmbedFunction;
+  /** Names the embedding space in `store` keys; default 'embed' with `embed`, else `${provider.name}:${provider.embeddingModel}` */
+  model?: string;
+  /** Where vectors are kept; default the search's cache */
+  store?: Cache;
+  /** A caller-owned index (documents keyed by `id ?? index`); replaces embed / model / store */
+  index?: VectorIndex;
+  /** Texts per embed call; default 64 */
+  batchSize?: number;
+}
+
+export interface ConsistencyOptions {
+  /** Default: variants.length, or 3 */
+  samples?: number;
+  /** Per-sample settings (model, temperature, another provider, ...), used in turn */
+  variants?: Array<Partial<Pick<SearchOptions, 'provider' | 'prompt'>> & GenerationOptions>;
+  /** 'majority' (default): more than half of the answering samples; a share in (0, 1]: at least that share of them */
+  vote?: 'majority' | number;
+}
+
+export interface AnswerAgreement<T = string> {
+  answer: T;
+  /** Samples that found this copy of the answer (a repeated answer's nth copy counts samples with at least n) */
+  votes: number;
+  /** votes / answering samples */
+  agreement: number;
+}
+
+export interface ConsistencyReport<T = string> {
+  samples: Array<{ provider: string; model?: string; temperature?: number; answers?: T[]; source?: AnswerSource; error?: string }>;
+  /** Votes an answer needed */
+  quorum: number;
+  /** Aligned with `answers`, which keep the samples' order (best first when ranked); votes do not reorder them */
+  answers: AnswerAgreement<T>[];
+  /** Answers below quorum, most votes first */
+  dropped: AnswerAgreement<T>[];
+}
+
+/** What the pre-filter kept: indices into `content` */
+export interface PrefilterReport {
+  total: number;
+  kept: number[];
+  method?: 'vector';
+  /** Documents embedded by this search (0 when all were indexed or stored) */
+  embedded?: number;
+}
+
+export interface VectorIndex {
+  readonly size: number;
+  has(id: string | number): boolean;
+  /** Adds or replaces documents by id; known texts are not embedded again */
+  upsert(docs: { id: string | number; text: string }[], options?: { signal?: AbortSignal }): Promise<{ embedded: number; reused: number }>;
+  remove(ids: (string | number)[]): void;
+  /** Cosine similarity, best first */
+  query(text: string, options?: { limit?: number; ids?: (string | number)[]; signal?: AbortSignal }): Promise<{ id: string | number; score: number }[]>;
+}
+
+export declare function createVectorIndex(options: { embed: EmbedFunction; model?: string; store?: Cache; batchSize?: number }): VectorIndex;
+
+export interface BM25Index {
+  size: number;
+  scores(query: string): number[];
+  /** Best first; ties keep document order */
+  search(query: string, options?: { limit?: number }): { index: number; score: number }[];
+}
+
+export declare function createBM25Index(texts: string[], options?: { k1?: number; b?: number }): BM25Index;
+/** Lowercased letter/digit runs; CJK runs become character bigrams */
+export declare function tokenize(text: string): string[];
+
+export interface RankedAnswer<T = string> {
+  answer: T;
+  /** Relevance in [0, 1]; undefined for answers from the local fallback */
+  score?: number;
+  reason?: string;
+}
+
+export interface SearchWithGeminiResult<T = string> extends ResultMeta {
+  answers: T[];
   raw: string;
+  source: AnswerSource;
+  /** Validation errors for answers dropped because they did not match the answer schema */
+  schemaErrors: string[];
+  /** Answers dropped by the `verify` post-check, as the model wrote them */
+  rejected: string[];
+  chunks: ChunkReport;
+  /** Present when `rank: true`; aligned with `answers` */
+  ranked?: RankedAnswer<T>[];
+  /** Present when `prefilter` is set */
+  prefilter?: PrefilterReport;
+  /** Present when `provenance: true` */
+  matches?: Match[];
+  /** Present when `consistency` is set */
+  consistency?: ConsistencyReport<T>;
+}
+
+export type SearchResult<T = string> = SearchWithGeminiResult<T>;
+
+export interface SearchManyOptions extends Omit<SearchOptions, 'query' | 'consistency'> {
+  queries: string[];
+  /** Queries packed into one prompt; default 10 */
+  maxQueriesPerRequest?: number;
+  /** Upload each chunk once as cached context when it needs several requests and the provider supports it; default true */
+  contextCache?: boolean;
+  /** Lifetime of the uploaded context; default 10 minutes */
+  contextCacheTtlMs?: number;
+}
+
+export interface QueryResult<T = string> {
+  answers: T[];
+  source: AnswerSource;
+  schemaErrors: string[];
+  rejected: string[];
+  /** Present when `rank: true` */
+  ranked?: RankedAnswer<T>[];
+  /** Present when `provenance: true` */
+  matches?: Match[];
+  /** Set when every request carrying this query failed */
+  error?: string;
+}
+
+export interface SearchManyResult<T = string> extends ResultMeta {
+  /** Keyed by query text (duplicate queries are searched once) */
+  results: Record<string, QueryResult<T>>;
+  requests: {
+    total: number;
+    failed: { chunk: number; queries: string[]; error: string }[];
+    /** Requests answered from the response cache */
+    cached: number;
+    /** Chunks uploaded as cached context */
+    contextCached: number[];
+  };
+  /** Present when `prefilter` is set; kept documents over all queries */
+  prefilter?: PrefilterReport;
+}
+
+export declare class VibeSearchError extends Error {}
+export declare class MissingParameterError extends VibeSearchError {
+  constructor(param: string);
+  param: string;
+}
+export declare class UpstreamError extends VibeSearchError {
+  constructor(message: string, options?: { status?: number; retryable?: boolean; retryAfterMs?: number; provider?: string; cause?: unknown });
+  status?: number;
+  retryable: boolean;
+  retryAfterMs?: number;
+  provider?: string;
+}
+export declare class RateLimitError extends UpstreamError {}
+export declare class TimeoutError extends UpstreamError {}
+export declare class ParseError extends VibeSearchError {
+  constructor(message: string, options?: { raw?: string; cause?: unknown });
+  raw?: string;
+}
+/** A replayed request has no readable recorded response (createReplayProvider) */
+export declare class FixtureError extends VibeSearchError {
+  constructor(message: string, options?: { key?: string; cause?: unknown });
+  key?: string;
+}
+/** An evaluation dataset is malformed (vibe-search/eval) */
+export declare class DatasetError extends VibeSearchError {
+  constructor(problems: string[]);
+  /** One per bad field or line, e.g. 'line 4 ("Web Dev"): $.truth: expected array, got string' */
+  problems: string[];
+}
+
+export declare function createGeminiProvider(options: GeminiProviderOptions): Provider;
+export declare function createOpenAIProvider(options: OpenAIProviderOptions): Provider;
+/** Documents with their `content` index, as searched */
+export declare function normalizeContent(content: Content): NormalizedDocument[];
+export declare function chunkContent(content: Content, options?: { maxChars?: number }): Chunk[];
+export declare function estimateTokens(text: string): number;
+export declare function locateAnswers(items: { text: string; doc?: number }[], content: Content, options?: { snippetRadius?: number }): Match[];
+export declare function registerMode(name: string, definition: ModeDefinition): ModeDefinition & { name: string };
+export declare function getMode(name: string): ModeDefinition & { name: string };
+export declare function listModes(): string[];
+/** Lowercases scheme/host and adds the root slash; null when not an absolute http(s) URL */
+export declare function canonicalizeUrl(url: string): string | null;
+
+export type NormalizeStep = 'trim' | 'whitespace' | 'unicode' | 'casefold' | 'punctuation' | 'url' | ((answer: string) => string | null);
+export declare const NORMALIZERS: Readonly<Record<'trim' | 'whitespace' | 'unicode' | 'casefold' | 'punctuation' | 'url', (answer: string) => string | null>>;
+/** The steps as one function; null when a step drops the answer */
+export declare function createNormalizer(steps: NormalizeStep | NormalizeStep[]): (answer: string) => string | null;
+export declare function parseJson(text: string): unknown[];
+export declare function parseAnswers(text: string, schema: JSONSchema, options?: { coerce?(answer: unknown): unknown }): { answers: unknown[]; errors: string[] } | null;
+export declare function validateSchema(value: unknown, schema: JSONSchema, path?: string): string[];
+export declare function search<T = string>(options: SearchOptions): Promise<SearchResult<T>>;
+export type SearchStreamEvent<T = string> =
+  | { type: 'answer'; answer: T; index: number; chunk: number; score?: number }
+  | { type: 'error'; chunk: number; error: Error }
+  | (ResultMeta & {
+      type: 'done';
+      answers: T[];
+      raw: string;
+      source: AnswerSource;
+      schemaErrors: string[];
+      rejected: string[];
+      chunks: ChunkReport;
+      ranked?: RankedAnswer<T>[];
+      prefilter?: PrefilterReport;
+      matches?: Match[];
+    });
+
+export interface AnswerParser {
+  /** Feed a text delta; returns the answers it completed */
+  push(delta: string): unknown[];
+  found: boolean;
+  done: boolean;
+}
+
+export interface Cache {
+  get(key: string): unknown | Promise<unknown>;
+  set(key: string, value: unknown, options?: { ttlMs?: number }): void | Promise<void>;
+  delete?(key: string): void | Promise<void>;
+  clear?(): void | Promise<void>;
 }
 
+export declare const PROMPT_VERSION: number;
+/** The built-in prompt: mode instructions and examples, version `builtin-${PROMPT_VERSION}` */
+export declare const DEFAULT_PROMPT_TEMPLATE: PromptTemplate;
+/** Validates and freezes a template; throws MissingParameterError without a version */
+export declare function definePromptTemplate(options: PromptTemplateOptions): PromptTemplate;
+/** In-process LRU; default 500 entries, no TTL */
+export declare function createMemoryCache(options?: { maxEntries?: number; ttlMs?: number }): Cache & { readonly size: number };
+/** One JSON file per entry under `dir` (Node only); clear() removes those files, not the directory */
+export declare function createFileCache(options: { dir: string; ttlMs?: number }): Cache;
+/** Cache used by searches that pass no `cache` option; null disables */
+export declare function setDefaultCache(cache: Cache | null): void;
+/** Hex SHA-256 of the JSON-serialized parts */
+export declare function cacheKey(parts: unknown): Promise<string>;
+/** Calls `provider` and saves each request with its response to `${dir}/${key}.json` (Node only); no cacheContext */
+export declare function recordFixtures(provider: Provider, options: { dir: string }): Provider;
+/** Serves recorded responses only; unrecorded requests reject with FixtureError and are listed in `misses` */
+export declare function createReplayProvider(options: { dir: string; name?: string; model?: string }): Provider & { misses: { key: string; kind: 'generate' | 'embed'; prompt?: string }[] };
+/** The fixture a request is recorded under: 'generate' requests are { prompt, options }, 'embed' ones { texts, options } */
+export declare function fixtureKey(kind: 'generate' | 'embed', request: { prompt?: string; texts?: string[]; options?: GenerateOptions | { model?: string } }): Promise<string>;
+export declare function localSearch(options: LocalSearchOptions): { answers: string[] };
+export declare function editDistance(a: string, b: string, max?: number): number;
+export declare function createAnswerParser(): AnswerParser;
+export declare function searchStream<T = string>(options: Omit<SearchOptions, 'concurrency' | 'consistency'>): AsyncGenerator<SearchStreamEvent<T>, void, undefined>;
+export declare function searchMany<T = string>(options: SearchManyOptions): Promise<SearchManyResult<T>>;
 export declare function searchWithGemini(options: SearchWithGeminiOptions): Promise<SearchWithGeminiResult>;
 export default searchWithGemini;
@@ -1,76 +1,771 @@
-// vibe-search-gemini: LLM-based extraction over provided content using Google Gemini (text-only)
+// vibe-search-gemini: LLM-based extraction over provided content (text-only)
 // Contract:
-//   input: { content: string | string[], query: string, apiKey: string, model?: string }
-//   output: { answers: string[], raw: string }
-//   Error modes: throws on missing apiKey/query/content, or upstream API failure.
+//   search input: { content: string | (string | { id?, text, metadata? })[], query: string, provider: Provider, model?: string }
+//   searchWithGemini input: { content: string | string[], query: string, apiKey: string, model?: string }
+//   output: { answers: string[], raw: string, source: 'model' | 'fallback' | 'mixed', schemaErrors: string[], rejected: string[],
+//             usage?: { promptTokens, outputTokens, totalTokens }, latencyMs, model, finishReason?, cached: boolean,
+//             promptVersion: string,
+//             chunks: { total, searched: number[], failed: { index, docs, error }[], fallback: number[], unparsed: number[], cached: number[] } }
+//   When a chunk's model output cannot be parsed, `fallback` decides: 'local' (default) answers it with the
+//   mode's local matcher, 'none' answers nothing, 'throw' fails the chunk with a ParseError.
+//   `mode` picks the prompt and answer post-processing from the mode registry ('url' | 'text' | custom).
+//   `normalize` (steps: 'trim' | 'whitespace' | 'unicode' | 'casefold' | 'punctuation' | 'url' | function, or false)
+//   and `dedupe` replace the mode's answer pipeline for one search (see normalize.js); url mode canonicalizes and
+//   de-duplicates, text mode keeps answers and duplicates as written.
+//   With `provenance: true` the model is asked to cite a document per answer and the output also has
+//   matches: { text, docIndex, start, end, snippet, verified }[] (verified: false = not found verbatim).
+//   With `rank: true` the model scores every answer's relevance (0..1) with a reason; answers are sorted by score
+//   (stable, unscored fallback answers last) and the output also has ranked: { answer, score, reason }[].
+//   `maxAnswers` cuts the final list (the sampling setting `topK` is unrelated).
+//   `prefilter` (true | topN | { topN = 20, k1, b }) ranks the `content` documents with an in-process BM25 index and
+//   sends only the topN best for the query (searchMany: the union over its queries); the output then has
+//   prefilter: { total, kept: number[] } (indices stay those of `content`). Off by default: every document is sent.
+//   `prefilter: { method: 'vector', topN, embed?, index?, store?, model? }` ranks them by embedding similarity instead
+//   (provider.embed unless `embed` is given); vectors are kept in `store` (default: the search's cache) or in a
+//   caller-owned createVectorIndex, so a stable corpus is embedded once. The report adds method and embedded.
+//   mode 'documents' (any mode with `documents: true`) retrieves whole documents: answers are
+//   { index, id?, score, reason, metadata? } for the matching `content` items, ranked, one per document.
+//   Large corpora are split into chunks (respecting `content` document boundaries), searched with bounded
+//   concurrency and merged back in chunk order.
+//   The model is asked for JSON matching a response schema ({ answers: answerSchema[] }, string answers by
+//   default); its output is parsed tolerantly (fences, prose, trailing commas) and validated, and answers
+//   failing the schema are dropped and listed in schemaErrors.
+//   The prompt treats corpus and query as data: they are sent in delimited, escaped blocks of the user message
+//   and the instructions in the system instruction. With `verify` (default true) answers that do not occur in
+//   the corpus are dropped and listed in `rejected`, so an injected instruction cannot make up results.
+//   searchStream takes the same input and yields { type: 'answer' | 'error' | 'done', ... } events as the
+//   model writes its JSON.
+//   `prompt` takes a prompt template (definePromptTemplate: instructions, rules, examples, systemInstruction,
+//   version); its version is part of response-cache keys and reported as promptVersion.
+//   Generation settings (model, maxTokens, temperature, topP, topK, stopSequences, seed, safetySettings,
+//   systemInstruction) are passed to the provider on every call; providers ignore what their backend lacks.
+//   Each model call has an optional timeout and is retried with backoff on retryable failures
+//   (429, 5xx, network, timeout); `signal` cancels the whole search.
+//   With a `cache` (or a default set with setDefaultCache) each chunk's parsed model output is stored under a
+//   SHA-256 of prompt version, provider, model, mode, query and prompt (corpus included); `cache: false`
+//   bypasses it for one call and `cacheTtlMs` overrides the cache's TTL. chunks.cached lists the hits.
+//   usage sums what the provider reported over the model calls made (cache hits cost nothing; undefined when
+//   nothing was reported); model is the one that answered; finishReason is the first abnormal one across
+//   chunks (e.g. 'MAX_TOKENS', 'length') or else the first; cached is true when every searched chunk was a hit.
+//   `consistency` (true | samples | { samples = 3, variants?, vote = 'majority' | share }) runs the search once per
+//   sample (variants: per-sample settings such as model or temperature, used in turn) and keeps the answers enough
+//   samples agree on, counting each copy of a repeated answer separately (consistency.js). The output then has
+//   consistency: { samples: { provider, model, temperature?, answers?, source?, error? }[], quorum,
+//   answers: { answer, votes, agreement }[] (aligned with answers), dropped: the same for answers below quorum }.
+//   search only; samples bypass the response cache. A failed sample is left out of the vote.
+//   recordFixtures(provider, { dir }) saves every model call to fixture files and createReplayProvider({ dir })
+//   serves them back (fixtures.js), so a search runs offline with the responses of a recorded run.
+//   searchMany({ content, queries: string[], ...search options }) packs up to `maxQueriesPerRequest` (default 10)
+//   queries into one prompt per chunk, answered under per-query keys, and returns
+//   { results: { [query]: { answers, source, schemaErrors, rejected, ranked?, matches?, error? } }, usage, latencyMs, model, finishReason,
+//     cached, requests: { total, failed: { chunk, queries, error }[], cached: number, contextCached: number[] } }.
+//   When a chunk needs several requests and the provider has cacheContext (Gemini context caching), the chunk is
+//   uploaded once and referenced by every request (`contextCache: false` turns this off).
+//   Error modes: throws MissingParameterError on missing apiKey/provider/query/content, UpstreamError
+//   (RateLimitError, TimeoutError) on upstream API failure, or the signal's reason when aborted.
 
-import { GoogleGenAI } from "@google/genai";
+import { createGeminiProvider, DEFAULT_GEMINI_MODEL } from "./providers.js";
+import { chunkBudget, chunkContent, mergeAnswers, normalizeContent } from "./chunking.js";
+import { promisePool } from "./pool.js";
+import { formatCitableCorpus, locateAnswers } from "./provenance.js";
+import { getMode, tokenFallback } from "./modes.js";
+import { parseAnswers, parseBatchAnswers, batchResponseSchema, responseSchema, validate as validateSchema, STRING_ANSWER, DOCUMENT_ANSWER } from "./schema.js";
+import { MissingParameterError, ParseError } from "./errors.js";
+import { withRetry } from "./retry.js";
+import { createAnswerParser } from "./stream.js";
+import { localSearch } from "./local.js";
+import { createNormalizer } from "./normalize.js";
+import { prefilterDocuments } from "./bm25.js";
+import { createVectorIndex, vectorPrefilter } from "./vectors.js";
+import { consistencyOptions, quorumOf, voteAnswers } from "./consistency.js";
+import { cacheKey, resolveCache } from "./cache.js";
+import { buildPrompt, buildBatchPrompt, corpusBlock, unescapeData, resolvePromptTemplate, PROMPT_VERSION } from "./prompts.js";
 
-const DEFAULT_MODEL = "gemini-2.5-flash";
+export { createGeminiProvider, createOpenAIProvider } from "./providers.js";
+export { chunkContent, estimateTokens, normalizeContent } from "./chunking.js";
+export { locateAnswers } from "./provenance.js";
+export { registerMode, getMode, listModes, canonicalizeUrl } from "./modes.js";
+export { parseJson, parseAnswers, validate as validateSchema } from "./schema.js";
+export { createAnswerParser } from "./stream.js";
+export { localSearch, editDistance } from "./local.js";
+export { createNormalizer, NORMALIZERS } from "./normalize.js";
+export { createBM25Index, tokenize } from "./bm25.js";
+export { createVectorIndex } from "./vectors.js";
+export { createMemoryCache, createFileCache, setDefaultCache, cacheKey } from "./cache.js";
+export { recordFixtures, createReplayProvider, fixtureKey } from "./fixtures.js";
+export { definePromptTemplate, DEFAULT_PROMPT_TEMPLATE, PROMPT_VERSION } from "./prompts.js";
+export { VibeSearchError, MissingParameterError, UpstreamError, RateLimitError, TimeoutError, ParseError, DatasetError, FixtureError } from "./errors.js";
 
-function normalizeContent(content) {
-  if (Array.isArray(content)) return content.filter(Boolean).join("\n\n");
-  return String(content ?? "");
+const DEFAULT_MODEL = DEFAULT_GEMINI_MODEL;
+const DEFAULT_QUERIES_PER_REQUEST = 10;
+const DEFAULT_CONTEXT_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Schema-valid answers -> { text, doc?, score?, reason?, value? }. `value` holds object answers (custom schemas);
+// `text` is the string that modes and provenance work on.
+// Text the model copied from the escaped corpus is unescaped back to the original.
+function toItems(list, { custom, rank }) {
+  return list.map((x) => {
+    if (typeof x === 'string') return { text: unescapeData(x) };
+    const { doc, ...rest } = x;
+    const item = { text: typeof rest.text === 'string' ? unescapeData(rest.text) : undefined, doc: Number.isInteger(doc) ? doc : undefined };
+    if (rank) {
+      const { score, reason } = rest;
+      delete rest.score;
+      delete rest.reason;
+      Object.assign(item, { score: typeof score === 'number' ? score : undefined, reason: typeof reason === 'string' ? reason : undefined });
+    }
+    return { ...item, value: custom ? rest : undefined };
+  });
 }
 
-function buildTextPrompt({ corpus, query }) {
-  return `You are a careful search engine. return JSON only with:
-{
-  "answers": ["..."]
+const itemKey = (x) => x.key ?? (x.value !== undefined ? JSON.stringify(x.value) : x.text);
+
+// Best score first; unscored answers (e.g. from the local fallback) last. Array sort is stable, so ties keep
+// chunk and model order.
+const byScore = (a, b) => (b.score ?? -1) - (a.score ?? -1);
+
+// Per-chunk item lists -> the final answer list: ranked when `rank`, merged, cut to `maxAnswers`.
+// Ranking before a 'unique' merge keeps the best-scored copy of a repeated answer.
+function finalItems(lists, { merge, rank, maxAnswers }) {
+  const items = mergeAnswers(rank ? [lists.flat().sort(byScore)] : lists, merge, itemKey);
+  return maxAnswers === undefined ? items : items.slice(0, maxAnswers);
 }
 
-Examples:
-Corpus: ABcabCB
-Query: B,c
-Expected JSON: { "answers": ["B","c","B"] }
+const rankedList = (items) => items.map((x) => ({ answer: x.value ?? x.text, score: x.score, reason: x.reason }));
+
+const collapseSpace = (s) => s.replace(/\s+/g, " ").trim();
 
-User Query: ${query}
----
-Corpus:
-${corpus}
----`;
+// The verify post-check over one chunk: the mode's occursIn, or else the answer occurs in the corpus (whitespace
+// runs compared as one space) as the model wrote it or after normalization. The corpus is collapsed, or indexed
+// with the mode's corpusIndex, once per chunk and only when an answer is checked.
+function corpusCheck(mode, corpus) {
+  if (mode.occursIn) {
+    let index;
+    const occurs = (t) => mode.occursIn(t, corpus, (index ??= { value: mode.corpusIndex?.(corpus) }).value);
+    return (item) => [item.text, item.source].some((t) => typeof t === 'string' && occurs(t));
+  }
+  let haystack;
+  return (item) => [item.source, item.text].some((t) => {
+    if (typeof t !== 'string' || collapseSpace(t) === "") return false;
+    haystack ??= collapseSpace(corpus);
+    return haystack.includes(collapseSpace(t));
+  });
 }
 
-export async function searchWithGemini({ content, query, apiKey, model = DEFAULT_MODEL, maxTokens = 2048, mode = 'url' } = {}) {
-  if (!apiKey) throw new Error("Missing apiKey");
-  if (!query) throw new Error("Missing query");
-  if (!content) throw new Error("Missing content");
+// Mode post-processing: canonicalize, validate, verify, dedupe. `source` keeps the text as the model wrote it.
+// Object answers from a custom schema are verified by their `text` field when they have one, and de-duplicated.
+function applyMode(mode, items, { corpus, query, verify, inCorpus, rejected }) {
+  const out = [];
+  for (const item of items) {
+    if (item.value !== undefined) {
+      if (verify && item.text !== undefined && !inCorpus(item)) rejected.push(item.text);
+      else out.push(item);
+      continue;
+    }
+    const text = mode.normalize ? mode.normalize(item.text) : item.text;
+    if (typeof text !== 'string' || !text) continue;
+    if (mode.validate && !mode.validate(text, { corpus, query })) continue;
+    if (verify && !inCorpus({ text, source: item.text })) { rejected.push(item.text); continue; }
+    out.push({ ...item, text, source: item.text });
+  }
+  return mode.dedupe ? mergeAnswers([out], 'unique', itemKey) : out;
+}
 
-  const corpus = normalizeContent(content);
-  const ai = new GoogleGenAI({ apiKey });
+// Document retrieval: a cited document becomes { index, id?, score, reason, metadata? }, once per document.
+// `verify` drops citations of documents the chunk does not hold.
+function documentItems(items, { chunk, docs, verify, rejected }) {
+  const out = [];
+  for (const item of items) {
+    if (verify && !chunk.docs.includes(item.doc)) { rejected.push(`[doc ${item.doc}]`); continue; }
+    const { id, metadata } = docs[item.doc] ?? {};
+    const value = { index: item.doc, ...(id !== undefined ? { id } : {}), score: item.score, reason: item.reason, ...(metadata !== undefined ? { metadata } : {}) };
+    out.push({ ...item, key: `doc ${item.doc}`, value });
+  }
+  return mergeAnswers([out], 'unique', itemKey);
+}
 
-  const prompt = buildTextPrompt({ corpus, query });
+// Local fallback for document retrieval: the chunk's documents with a local match, unscored
+function documentFallback(chunk, query, local) {
+  const hits = chunk.parts.filter((p) => localSearch({ ...local, content: p.text, query, maxResults: 1 }).answers.length);
+  return [...new Set(hits.map((p) => p.doc))].map((doc) => ({ doc }));
+}
+
+// Turning one query's parsed answers over one chunk into post-processed items.
+// `rejected` collects the answers the verify post-check dropped; fallback answers come from the corpus and skip it.
+function answerHandling({ chunk, query, mode, provenance, rank, answerSchema, local, verify, docs }) {
+  const corpus = chunk.text;
+  const custom = answerSchema.type !== 'string';
+  const rejected = [];
+  const inCorpus = corpusCheck(mode, corpus);
+  return {
+    corpus,
+    rejected,
+    // A cited answer given as a bare string is still a usable answer (a ranked one still lacks its score)
+    coerce: (a) => ((provenance || rank) && typeof a === 'string' && !custom ? { text: a } : a),
+    toItems: (answers, { fellBack = false } = {}) => {
+      const items = toItems(answers, { custom, rank });
+      const check = verify && !fellBack;
+      return mode.documents ? documentItems(items, { chunk, docs, verify: check, rejected }) : applyMode(mode, items, { corpus, query, verify: check, inCorpus, rejected });
+    },
+    // Mode-specific local extraction (naive query tokenization by default); string answers and documents only
+    fallback: () => {
+      if (mode.documents) return documentFallback(chunk, query, local);
+      return custom ? [] : (mode.fallback || tokenFallback)(corpus, query, local);
+    },
+  };
+}
+
+// Corpus text sent for a chunk: documents labelled [doc N] when answers cite or are documents
+const chunkCorpus = (chunk, { provenance, mode }) => (provenance || mode.documents ? formatCitableCorpus(chunk.parts) : chunk.text);
+
+// Everything needed to query one chunk and turn parsed answers into post-processed items
+function chunkRequest({ chunk, query, mode, template, provenance, rank, answerSchema, local, verify, docs }) {
+  // Document answers carry their doc number already
+  const cite = provenance && !mode.documents;
+  return {
+    ...answerHandling({ chunk, query, mode, provenance: cite, rank, answerSchema, local, verify, docs }),
+    schema: responseSchema(answerSchema, { cite, rank }),
+    ...buildPrompt({ mode, template, query, cite, rank, answerSchema, corpus: chunkCorpus(chunk, { provenance, mode }) }),
+  };
+}
+
+// Provider options for one request: the prompt's system instruction follows the caller's own
+function requestOptions(generation, req) {
+  const systemInstruction = [generation.systemInstruction, req.system].filter(Boolean).join("\n\n");
+  return { ...generation, systemInstruction, responseSchema: req.schema };
+}
 
-  const response = await ai.models.generateContent({
+const FALLBACKS = ['local', 'none', 'throw'];
+
+// Model output could not be parsed: apply the fallback policy
+function recover(req, { fallback, raw }) {
+  if (fallback === 'throw') throw new ParseError("Model output does not match the response schema", { raw });
+  return { answers: fallback === 'local' ? req.fallback() : [], errors: [], fellBack: fallback === 'local' };
+}
+
+// Cache access for one chunk request. A failing cache behaves like an empty one.
+function chunkCache(req, { cache, cacheTtlMs, provider, generation, mode, template, query }) {
+  if (!cache) return { get: async () => undefined, set: async () => {} };
+  const { model = provider.model, ...settings } = generation;
+  const key = cacheKey({ v: PROMPT_VERSION, template: template.version, provider: provider.name, model, mode: mode.name, query, settings, schema: req.schema, system: req.system, prompt: req.prompt });
+  return {
+    async get() {
+      try {
+        const hit = await cache.get(await key);
+        return typeof hit?.text === 'string' ? hit : undefined;
+      } catch { return undefined; }
+    },
+    async set({ text, finishReason, model }) {
+      try { await cache.set(await key, { text, finishReason, model }, { ttlMs: cacheTtlMs }); } catch { /* best effort */ }
+    },
+  };
+}
+
+async function searchCorpus({ chunk, query, provider, generation, mode, template, provenance, rank, answerSchema, retry, fallback, local, verify, docs, cache, cacheTtlMs }) {
+  const req = chunkRequest({ chunk, query, mode, template, provenance, rank, answerSchema, local, verify, docs });
+  const cached = chunkCache(req, { cache, cacheTtlMs, provider, generation, mode, template, query });
+
+  const hit = await cached.get();
+  const { text = "", usage, finishReason, model } = hit ?? await withRetry(
+    (signal) => provider.generate(req.prompt, { ...requestOptions(generation, req), signal }),
+    retry,
+  );
+
+  const parsed = parseAnswers(text, req.schema, { coerce: req.coerce });
+  // Only usable output is cached; an unparsable response is worth asking for again
+  if (parsed && !hit) await cached.set({ text, finishReason, model });
+  const answered = parsed ?? recover(req, { fallback, raw: text });
+  return {
+    items: req.toItems(answered.answers, answered),
+    errors: answered.errors,
+    rejected: req.rejected,
+    raw: text,
+    unparsed: !parsed,
+    fellBack: Boolean(answered.fellBack),
+    cached: Boolean(hit),
+    usage: hit ? undefined : usage,
+    finishReason,
     model,
-    contents: prompt,
-    generationConfig: {
-      maxOutputTokens: maxTokens,
-      temperature: 0.2,
+  };
+}
+
+// Generation settings forwarded to provider.generate / provider.stream; unset ones are left out
+function generationOptions({ model, maxTokens = 2048, temperature = 0.2, topP, topK, stopSequences, seed, safetySettings, systemInstruction }) {
+  const all = { model, maxTokens, temperature, topP, topK, stopSequences, seed, safetySettings, systemInstruction };
+  return Object.fromEntries(Object.entries(all).filter(([, v]) => v !== undefined));
+}
+
+const PREFILTER_METHODS = ['bm25', 'vector'];
+
+// `prefilter` option -> { method, topN, ...method options }, or null when every document is sent
+function prefilterOptions(prefilter) {
+  if (prefilter === undefined || prefilter === null || prefilter === false) return null;
+  const options = typeof prefilter === 'number' ? { topN: prefilter } : prefilter === true ? {} : { ...prefilter };
+  if (options.topN !== undefined && !(Number.isInteger(options.topN) && options.topN > 0)) throw new TypeError("prefilter topN must be a positive integer");
+  options.method ??= 'bm25';
+  if (!PREFILTER_METHODS.includes(options.method)) throw new TypeError(`Unknown prefilter method: ${options.method} (expected ${PREFILTER_METHODS.join(" | ")})`);
+  return options;
+}
+
+// The vector pre-filter's index: the caller's, or one over the search's cache (so vectors outlive the call)
+function vectorIndex({ index, embed, model, store, batchSize }, { provider, cache, retry }) {
+  if (index) return index;
+  if (!embed && typeof provider.embed !== "function") throw new MissingParameterError("prefilter embed (the provider has no embed)");
+  const call = embed ?? ((texts, o) => provider.embed(texts, o));
+  return createVectorIndex({
+    embed: (texts) => withRetry((s) => call(texts, { signal: s }), retry),
+    model: model ?? (embed ? 'embed' : `${provider.name}:${provider.embeddingModel ?? 'default'}`),
+    store: store ?? cache,
+    batchSize,
+  });
+}
+
+// Documents worth sending: { kept: Set<index>, report } or null when the pre-filter is off
+async function prefilterContent(docs, queries, { prefilter, provider, cache, retry }) {
+  const options = prefilterOptions(prefilter);
+  if (!options) return null;
+  const total = docs.filter((d) => d.text).length;
+  if (options.method === 'bm25') {
+    const kept = prefilterDocuments(docs, queries, options);
+    return { kept: new Set(kept), report: { total, kept } };
+  }
+  const index = vectorIndex(options, { provider, cache, retry });
+  const { kept, embedded } = await vectorPrefilter(docs, queries, { topN: options.topN, index, signal: retry.signal });
+  return { kept: new Set(kept), report: { total, kept, method: 'vector', embedded } };
+}
+
+// The mode with the search's answer pipeline: `normalize` steps and `dedupe` override the mode's own
+function withPipeline(modeDef, { normalize, dedupe }) {
+  const steps = normalize === undefined ? modeDef.normalize : normalize;
+  return {
+    ...modeDef,
+    normalize: steps === false || steps === null || steps === undefined || (Array.isArray(steps) && !steps.length) ? undefined : createNormalizer(steps),
+    dedupe: dedupe === undefined ? modeDef.dedupe : Boolean(dedupe),
+  };
+}
+
+// Validate search options and derive what every chunk needs
+async function prepare(options) {
+  if (consistencyOptions(options.consistency)) throw new TypeError("consistency is supported by search only");
+  const { content, query, provider, mode = 'url', prompt, maxChunkChars, maxChunkTokens, merge, normalize, dedupe, answerSchema = STRING_ANSWER, fallback = 'local', local, verify = true, rank = false, maxAnswers, prefilter, cache, cacheTtlMs, timeoutMs, retries, retryDelayMs, maxRetryDelayMs, signal, onRetry } = options;
+  if (!provider || typeof provider.generate !== "function") throw new MissingParameterError("provider");
+  if (!query) throw new MissingParameterError(options.queries ? "queries" : "query");
+  if (!content) throw new MissingParameterError("content");
+  if (!FALLBACKS.includes(fallback)) throw new TypeError(`Unknown fallback: ${fallback} (expected ${FALLBACKS.join(" | ")})`);
+  if (maxAnswers !== undefined && !(Number.isInteger(maxAnswers) && maxAnswers >= 0)) throw new TypeError("maxAnswers must be a non-negative integer");
+  const modeDef = withPipeline(getMode(mode), { normalize, dedupe });
+  const template = resolvePromptTemplate(prompt);
+  // Document retrieval always answers with ranked document numbers
+  const documents = Boolean(modeDef.documents);
+  const docs = normalizeContent(content);
+  const retry = { timeoutMs, retries, retryDelayMs, maxRetryDelayMs, signal, onRetry, provider: provider.name };
+  const responseCache = resolveCache(cache);
+  const filtered = await prefilterContent(docs, options.queries ?? [query], { prefilter, provider, cache: responseCache, retry });
+  // Documents the pre-filter dropped are emptied, so chunks keep the original document indices
+  const searchable = filtered ? docs.map((d) => (filtered.kept.has(d.index) ? d.text : "")) : content;
+  return {
+    mode: modeDef,
+    template,
+    generation: generationOptions({ ...options, systemInstruction: options.systemInstruction ?? template.systemInstruction }),
+    answerSchema: documents ? DOCUMENT_ANSWER : answerSchema,
+    fallback,
+    local,
+    verify: verify !== false,
+    rank: documents || Boolean(rank),
+    docs,
+    prefilter: filtered?.report,
+    maxAnswers,
+    cache: responseCache,
+    cacheTtlMs,
+    merge: merge ?? (modeDef.dedupe ? 'unique' : 'multiset'),
+    retry,
+    chunks: chunkContent(searchable, { maxChars: chunkBudget({ maxChunkChars, maxChunkTokens }) }),
+  };
+}
+
+// Where the answers came from across the searched chunks
+function answerSource(searchedCount, fallbackCount) {
+  if (!fallbackCount) return 'model';
+  return fallbackCount === searchedCount ? 'fallback' : 'mixed';
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  const sum = total ?? { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+  return { promptTokens: sum.promptTokens + usage.promptTokens, outputTokens: sum.outputTokens + usage.outputTokens, totalTokens: sum.totalTokens + usage.totalTokens };
+}
+
+// Cost and provenance metadata over the searched chunks' { usage, finishReason, model, cached }
+function resultMeta(calls, { generation, provider, template, started }) {
+  const reasons = calls.map((c) => c.finishReason).filter(Boolean);
+  return {
+    usage: calls.reduce((sum, c) => addUsage(sum, c.usage), undefined),
+    latencyMs: Date.now() - started,
+    model: calls.find((c) => c.model)?.model ?? generation.model ?? provider.model,
+    finishReason: reasons.find((r) => !/^stop$/i.test(r)) ?? reasons[0],
+    cached: calls.length > 0 && calls.every((c) => c.cached),
+    promptVersion: template.version,
+  };
+}
+
+// Self-consistency: the search run once per sample and its answers voted on (consistency.js). Samples skip the
+// response cache, which would hand every one of them the same response, and search their chunks one at a time,
+// so at most `concurrency` model calls are in flight.
+async function consistentSearch(options, { samples, variants, vote }) {
+  const { mode = 'url', maxAnswers, provenance = false, concurrency = 2 } = options;
+  const started = Date.now();
+  const runs = Array.from({ length: samples }, (_, i) => variants[i % variants.length]);
+  const settled = await promisePool(runs, concurrency, (variant) => search({ ...options, ...variant, consistency: undefined, cache: false, concurrency: 1 }));
+  const answered = settled.filter((s) => !s.error).map((s) => s.value);
+  if (!answered.length) throw settled[0].error;
+
+  // Documents are the same answer whatever score and reason a sample gave them
+  const documents = Boolean(getMode(mode).documents);
+  const key = (a) => (typeof a === 'string' ? a : documents ? `doc ${a.index}` : JSON.stringify(a));
+  const quorum = quorumOf(vote, answered.length);
+  const { kept, dropped } = voteAnswers(answered.map((r) => r.answers), { quorum, key });
+  const from = (v, field) => answered[v.sample][field]?.[v.index];
+  // Ranked results stay best first (stable, unscored last), as a single search returns them
+  const ordered = answered[0].ranked ? [...kept].sort((a, b) => (from(b, 'ranked')?.score ?? -1) - (from(a, 'ranked')?.score ?? -1)) : kept;
+  const picked = maxAnswers === undefined ? ordered : ordered.slice(0, maxAnswers);
+  // A sample's matches cover its answers with text, in order: answer index -> its match
+  const matchOf = answered.map((r) => {
+    const at = [];
+    let k = 0;
+    (r.answers ?? []).forEach((a, i) => {
+      const text = typeof a === 'string' ? a : a?.text;
+      if (typeof text === 'string' && r.matches?.[k]?.text === text) at[i] = r.matches[k++];
+    });
+    return at;
+  });
+  const agreement = (v) => ({ answer: from(v, 'answers'), votes: v.votes, agreement: v.agreement });
+  const reasons = answered.map((r) => r.finishReason).filter(Boolean);
+  const sources = new Set(answered.map((r) => r.source));
+
+  const result = {
+    answers: picked.map((v) => from(v, 'answers')),
+    raw: answered.map((r) => r.raw).join("\n\n"),
+    source: sources.size === 1 ? [...sources][0] : 'mixed',
+    schemaErrors: [...new Set(answered.flatMap((r) => r.schemaErrors))],
+    rejected: [...new Set(answered.flatMap((r) => r.rejected))],
+    usage: answered.reduce((sum, r) => addUsage(sum, r.usage), undefined),
+    latencyMs: Date.now() - started,
+    model: answered[0].model,
+    finishReason: reasons.find((r) => !/^stop$/i.test(r)) ?? reasons[0],
+    cached: false,
+    promptVersion: answered[0].promptVersion,
+    chunks: answered[0].chunks,
+    consistency: {
+      samples: settled.map((s, i) => {
+        const settings = { provider: (runs[i].provider ?? options.provider).name, model: s.value?.model ?? runs[i].model ?? options.model, temperature: runs[i].temperature ?? options.temperature };
+        const sample = Object.fromEntries(Object.entries(settings).filter(([, v]) => v !== undefined));
+        return s.error ? { ...sample, error: s.error?.message ?? String(s.error) } : { ...sample, answers: s.value.answers, source: s.value.source };
+      }),
+      quorum,
+      answers: picked.map(agreement),
+      dropped: dropped.map(agreement),
     },
+  };
+  if (answered[0].ranked) result.ranked = picked.map((v) => from(v, 'ranked'));
+  if (answered[0].prefilter) result.prefilter = answered[0].prefilter;
+  if (provenance) result.matches = picked.map((v) => matchOf[v.sample][v.index]).filter(Boolean);
+  return result;
+}
+
+export async function search(options = {}) {
+  const consistency = consistencyOptions(options.consistency);
+  if (consistency) return consistentSearch(options, consistency);
+  const { content, query, provider, concurrency = 2, provenance = false, snippetRadius, signal } = options;
+  const started = Date.now();
+  const { mode, template, generation, answerSchema, fallback, local, verify, rank, maxAnswers, docs, prefilter, cache, cacheTtlMs, merge, retry, chunks } = await prepare(options);
+
+  const results = await promisePool(chunks, concurrency, (chunk) => searchCorpus({ chunk, query, provider, generation, mode, template, provenance, rank, answerSchema, retry, fallback, local, verify, docs, cache, cacheTtlMs }));
+
+  const searched = [];
+  const failed = [];
+  results.forEach((r, i) => {
+    if (r.error) failed.push({ index: i, docs: chunks[i].docs, error: r.error?.message ?? String(r.error) });
+    else searched.push(i);
   });
+  signal?.throwIfAborted();
+  // Nothing succeeded: surface the upstream error like a single call would
+  if (chunks.length && !searched.length) throw results[0].error;
+
+  const ok = searched.map((i) => results[i].value);
+  const items = finalItems(ok.map((r) => r.items), { merge, rank, maxAnswers });
+  const fellBack = searched.filter((i) => results[i].value.fellBack);
+  const result = {
+    answers: items.map((x) => x.value ?? x.text),
+    raw: ok.map((r) => r.raw).join("\n\n"),
+    source: answerSource(searched.length, fellBack.length),
+    schemaErrors: ok.flatMap((r) => r.errors),
+    rejected: ok.flatMap((r) => r.rejected),
+    ...resultMeta(ok, { generation, provider, template, started }),
+    chunks: {
+      total: chunks.length,
+      searched,
+      failed,
+      fallback: fellBack,
+      unparsed: searched.filter((i) => results[i].value.unparsed),
+      cached: searched.filter((i) => results[i].value.cached),
+    },
+  };
+  if (rank) result.ranked = rankedList(items);
+  if (prefilter) result.prefilter = prefilter;
+  if (provenance) result.matches = locateAnswers(items.filter((x) => typeof x.text === 'string'), content, { snippetRadius });
+  return result;
+}
+
+// Streaming search. Chunks are searched one after another; each answer is yielded as soon as the
+// model has finished writing it:
+//   { type: 'answer', answer, index, chunk, score? }          in model order; score with `rank`
+//   { type: 'error', chunk, error }                        a chunk failed; the stream goes on
+//   { type: 'done', answers, raw, source, usage, latencyMs, model, finishReason, cached, schemaErrors, rejected, chunks, ranked?, prefilter?, matches? }
+// The done event carries the final list: ranked and cut to maxAnswers, so it may differ from the answer events.
+// Providers without `stream` are called with `generate` and their answers yielded at once.
+// Retries and timeoutMs cover opening the stream, not reading it. Cached chunks are yielded at once.
+export async function* searchStream(options = {}) {
+  const { content, query, provider, provenance = false, snippetRadius, signal } = options;
+  const started = Date.now();
+  const { mode, template, generation, answerSchema, fallback, local, verify, rank, maxAnswers, docs, prefilter, cache, cacheTtlMs, merge, retry, chunks } = await prepare(options);
+  const unique = merge === 'unique';
+
+  const items = [];
+  const pool = []; // every accepted item, repeats included, for the final ranking
+  const seen = new Set();
+  const raws = [];
+  const schemaErrors = [];
+  const rejected = [];
+  const searched = [];
+  const failed = [];
+  const fellBack = [];
+  const unparsed = [];
+  const cachedChunks = [];
+  const calls = [];
+  let firstError;
+
+  for (const chunk of chunks) {
+    const req = chunkRequest({ chunk, query, mode, template, provenance, rank, answerSchema, local, verify, docs });
+    const itemSchema = req.schema.properties.answers.items;
+    const fresh = [];
+    // The chunk's items join `pool` only once it succeeds: a chunk that fails partway is left out of `done`,
+    // as search() leaves it out, although its answer events have gone out
+    const chunkItems = [];
+    const chunkKeys = [];
+    const accept = (answers, how) => {
+      for (const a of answers.map(req.coerce)) {
+        const errs = validateSchema(a, itemSchema, `$.answers[${items.length + fresh.length}]`);
+        if (errs.length) { schemaErrors.push(...errs); continue; }
+        for (const item of req.toItems([a], how)) {
+          chunkItems.push(item);
+          if (unique && seen.has(itemKey(item))) continue;
+          seen.add(itemKey(item));
+          chunkKeys.push(itemKey(item));
+          fresh.push(item);
+        }
+      }
+    };
+    const drain = function* () {
+      for (const item of fresh.splice(0)) {
+        items.push(item);
+        yield { type: 'answer', answer: item.value ?? item.text, index: items.length - 1, chunk: chunk.index, ...(rank ? { score: item.score } : {}) };
+      }
+    };
 
-  const text = typeof response?.text === "function" ? response.text() : (response?.text ?? "");
+    const cached = chunkCache(req, { cache, cacheTtlMs, provider, generation, mode, template, query });
+    let raw = "";
+    try {
+      const options = requestOptions(generation, req);
+      const parser = createAnswerParser();
+      const hit = await cached.get();
+      const call = { cached: Boolean(hit) };
+      if (hit) {
+        ({ text: raw, finishReason: call.finishReason, model: call.model } = hit);
+        cachedChunks.push(chunk.index);
+      } else if (typeof provider.stream === "function") {
+        const deltas = await withRetry((s) => provider.stream(req.prompt, { ...options, signal: s }), retry);
+        for await (const delta of deltas) {
+          signal?.throwIfAborted();
+          raw += delta.text ?? "";
+          // Usage may be reported more than once (cumulatively); the last report wins
+          call.usage = delta.usage ?? call.usage;
+          call.finishReason = delta.finishReason ?? call.finishReason;
+          call.model ??= delta.model;
+          accept(parser.push(delta.text ?? ""));
+          yield* drain();
+        }
+      } else {
+        let text;
+        ({ text, usage: call.usage, finishReason: call.finishReason, model: call.model } = await withRetry((s) => provider.generate(req.prompt, { ...options, signal: s }), retry));
+        raw = text ?? "";
+      }
+      const parsed = parseAnswers(raw, req.schema, { coerce: req.coerce });
+      if (parsed && !hit) await cached.set({ text: raw, finishReason: call.finishReason, model: call.model });
+      if (!parser.found) {
+        const answered = parsed ?? recover(req, { fallback, raw });
+        if (!parsed) unparsed.push(chunk.index);
+        if (answered.fellBack) fellBack.push(chunk.index);
+        schemaErrors.push(...answered.errors);
+        accept(answered.answers, answered);
+        yield* drain();
+      }
+      pool.push(...chunkItems);
+      rejected.push(...req.rejected);
+      raws.push(raw);
+      calls.push(call);
+      searched.push(chunk.index);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // Its answers may come again from a later chunk
+      for (const key of chunkKeys) seen.delete(key);
+      firstError ??= error;
+      failed.push({ index: chunk.index, docs: chunk.docs, error: error?.message ?? String(error) });
+      yield { type: 'error', chunk: chunk.index, error };
+    }
+  }
+  if (chunks.length && !searched.length) throw firstError;
+
+  const final = finalItems([pool], { merge, rank, maxAnswers });
+  const done = {
+    type: 'done',
+    answers: final.map((x) => x.value ?? x.text),
+    raw: raws.join("\n\n"),
+    source: answerSource(searched.length, fellBack.length),
+    ...resultMeta(calls, { generation, provider, template, started }),
+    schemaErrors,
+    rejected,
+    chunks: { total: chunks.length, searched, failed, fallback: fellBack, unparsed, cached: cachedChunks },
+  };
+  if (rank) done.ranked = rankedList(final);
+  if (prefilter) done.prefilter = prefilter;
+  if (provenance) done.matches = locateAnswers(final.filter((x) => typeof x.text === 'string'), content, { snippetRadius });
+  yield done;
+}
+
+// One batch request over one chunk: prompt, schema and response-cache entry.
+// The cache key always uses the inline-corpus prompt, so it does not depend on context caching.
+function batchRequest({ chunk, queries, ids, mode, template, provenance, rank, answerSchema, corpus, cacheFor }) {
+  const req = {
+    queries,
+    ids,
+    schema: batchResponseSchema(answerSchema, ids, { cite: provenance, rank }),
+    ...buildBatchPrompt({ mode, template, corpus, ids, queries, cite: provenance, rank, answerSchema }),
+    contextPrompt: buildBatchPrompt({ mode, template, corpus: null, ids, queries, cite: provenance, rank, answerSchema }).prompt,
+    chunk: chunk.index,
+  };
+  return { ...req, cached: cacheFor(req) };
+}
 
-  let parsed = { answers: [] };
+// Uploads the chunk as cached context when the provider supports it; null when it cannot (too small, quota...)
+// Every request of a chunk shares one system instruction, so it goes into the cached context too.
+async function openContext(provider, corpus, { options, ttlMs }) {
   try {
-    const jsonStart = text.indexOf("{");
-    const jsonEnd = text.lastIndexOf("}");
-    const maybe = jsonStart >= 0 && jsonEnd > jsonStart ? text.slice(jsonStart, jsonEnd + 1) : text;
-    parsed = JSON.parse(maybe);
-  } catch (_) {
-    // Fallback: naive tokenization by commas/spaces
-  const tokens = String(query).split(/[;,\s]+/).filter(Boolean);
-  const esc = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  const alt = tokens.length ? `(${tokens.map(esc).join('|')})` : '';
-  const re = alt ? new RegExp(alt, 'g') : null;
-  const found = [];
-  if (re) { let m; while ((m = re.exec(corpus)) && found.length < 200) { found.push(m[0]); } }
-  parsed = { answers: found };
+    return await provider.cacheContext(corpusBlock(corpus), { model: options.model, systemInstruction: options.systemInstruction, ttlMs });
+  } catch {
+    return null;
   }
+}
+
+export async function searchMany(options = {}) {
+  const { content, queries, provider, concurrency = 2, provenance = false, snippetRadius, signal,
+    maxQueriesPerRequest = DEFAULT_QUERIES_PER_REQUEST, contextCache = true, contextCacheTtlMs = DEFAULT_CONTEXT_CACHE_TTL_MS } = options;
+  const asked = [...new Set((Array.isArray(queries) ? queries : []).filter(Boolean).map(String))];
+  const started = Date.now();
+  const { mode, template, generation, answerSchema, fallback, local, verify, rank, maxAnswers, docs, prefilter, cache, cacheTtlMs, merge, retry, chunks } = await prepare({ ...options, queries: asked, query: asked[0] });
+  const perRequest = Math.max(1, Math.floor(maxQueriesPerRequest) || 1);
+  const cite = provenance && !mode.documents;
+
+  const perQuery = new Map(asked.map((q) => [q, { lists: [], errors: [], rejected: [], searched: 0, fellBack: 0 }]));
+  const calls = [];
+  const failed = [];
+  const contextCached = [];
+  let total = 0;
+  let firstError;
+
+  for (const chunk of chunks) {
+    const corpus = chunkCorpus(chunk, { provenance, mode });
+    const handling = new Map(asked.map((q) => [q, answerHandling({ chunk, query: q, mode, provenance: cite, rank, answerSchema, local, verify, docs })]));
+    const coerce = handling.get(asked[0]).coerce;
+    const reqs = [];
+    for (let i = 0; i < asked.length; i += perRequest) {
+      const batch = asked.slice(i, i + perRequest);
+      const ids = batch.map((_, j) => `q${j + 1}`);
+      const cacheFor = (req) => chunkCache(req, { cache, cacheTtlMs, provider, generation, mode, template, query: batch });
+      reqs.push(batchRequest({ chunk, queries: batch, ids, mode, template, provenance: cite, rank, answerSchema, corpus, cacheFor }));
+    }
+    total += reqs.length;
+    const hits = await Promise.all(reqs.map((r) => r.cached.get()));
+    const misses = hits.filter((h) => !h).length;
+    const context = contextCache && typeof provider.cacheContext === "function" && misses > 1
+      ? await openContext(provider, corpus, { options: requestOptions(generation, reqs[0]), ttlMs: contextCacheTtlMs })
+      : null;
+    if (context) contextCached.push(chunk.index);
+
+    let results;
+    try {
+      results = await promisePool(reqs, concurrency, async (req, j) => {
+        const hit = hits[j];
+        const { text = "", usage, finishReason, model } = hit ?? await withRetry(
+          (s) => provider.generate(context ? req.contextPrompt : req.prompt, {
+            ...requestOptions(generation, req), ...(context ? { cachedContent: context.name } : {}), signal: s,
+          }),
+          retry,
+        );
+        const parsed = parseBatchAnswers(text, req.schema, { coerce });
+        if (parsed && !hit) await req.cached.set({ text, finishReason, model });
+        const answered = req.queries.map((q, k) => {
+          if (!parsed) return recover(handling.get(q), { fallback, raw: text });
+          const prefix = `$.results.${req.ids[k]}`;
+          return { answers: parsed.answers[req.ids[k]], errors: parsed.errors.filter((e) => e === prefix || e.startsWith(`${prefix}[`) || e.startsWith(`${prefix}:`)) };
+        });
+        return { answered, raw: text, call: { usage: hit ? undefined : usage, finishReason, model, cached: Boolean(hit) } };
+      });
+    } finally {
+      await Promise.resolve(context?.dispose?.()).catch(() => {});
+    }
+
+    results.forEach((r, j) => {
+      const req = reqs[j];
+      if (r.error) {
+        firstError ??= r.error;
+        failed.push({ chunk: chunk.index, queries: req.queries, error: r.error?.message ?? String(r.error) });
+        return;
+      }
+      calls.push(r.value.call);
+      req.queries.forEach((q, k) => {
+        const { answers, errors, fellBack } = r.value.answered[k];
+        const acc = perQuery.get(q);
+        acc.lists.push(handling.get(q).toItems(answers, r.value.answered[k]));
+        acc.errors.push(...errors);
+        acc.rejected.push(...handling.get(q).rejected);
+        acc.searched++;
+        if (fellBack) acc.fellBack++;
+      });
+    });
+  }
+  signal?.throwIfAborted();
+  if (total && !calls.length) throw firstError;
+
+  const results = {};
+  for (const [q, acc] of perQuery) {
+    const items = finalItems(acc.lists, { merge, rank, maxAnswers });
+    const result = { answers: items.map((x) => x.value ?? x.text), source: answerSource(acc.searched, acc.fellBack), schemaErrors: acc.errors, rejected: acc.rejected };
+    if (rank) result.ranked = rankedList(items);
+    if (!acc.searched) result.error = failed.find((f) => f.queries.includes(q))?.error;
+    if (provenance) result.matches = locateAnswers(items.filter((x) => typeof x.text === 'string'), content, { snippetRadius });
+    results[q] = result;
+  }
+  return {
+    results,
+    ...resultMeta(calls, { generation, provider, template, started }),
+    requests: { total, failed, cached: calls.filter((c) => c.cached).length, contextCached },
+    ...(prefilter ? { prefilter } : {}),
+  };
+}
 
-  const answers = Array.isArray(parsed?.answers) ? parsed.answers.filter(x => typeof x === 'string' && x.length > 0) : [];
-  return { answers, raw: text };
+export async function searchWithGemini({ apiKey, model = DEFAULT_MODEL, client, ...options } = {}) {
+  if (!apiKey && !client) throw new MissingParameterError("apiKey");
+  return search({ ...options, model, provider: createGeminiProvider({ apiKey, model, client }) });
 }
 
 // Default export for CommonJS compatibility
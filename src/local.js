@@ -0,0 +1,69 @@
+// Local (no-model) matcher: finds the query's tokens in the corpus.
+// Used as the fallback when model output is unusable, as the `--dry` baseline, and on its own.
+// Contract:
+//   localSearch({ content, query, caseSensitive, wholeWord, fuzzy, normalize, maxResults }) -> { answers: string[] }
+//   (content as for search: a string or an array of strings / { id, text, metadata } documents)
+//   - the query is split on commas, semicolons and whitespace into tokens;
+//   - answers are the matched corpus substrings in corpus order, duplicates kept;
+//   - caseSensitive (default true), wholeWord (default false): match tokens only between non-word characters;
+//   - fuzzy: max edit distance (default 0 = exact); > 0 compares whole corpus words with each token;
+//   - normalize: a Unicode normalization form ('NFC' | 'NFD' | 'NFKC' | 'NFKD') applied to corpus and query;
+//   - maxResults: stop after this many answers (default 200).
+
+import { normalizeContent } from "./chunking.js";
+
+export const DEFAULT_MAX_RESULTS = 200;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+
+export function queryTokens(query) {
+  return String(query ?? "").split(/[;,\s]+/).filter(Boolean);
+}
+
+// Levenshtein distance with an early exit once every cell exceeds `max`
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+export function localSearch({ content, query, caseSensitive = true, wholeWord = false, fuzzy = 0, normalize, maxResults = DEFAULT_MAX_RESULTS } = {}) {
+  const norm = (s) => (normalize ? s.normalize(normalize) : s);
+  const corpus = norm(normalizeContent(content).map((d) => d.text).filter(Boolean).join("\n\n"));
+  const tokens = queryTokens(norm(String(query ?? "")));
+  const found = [];
+  if (!tokens.length || maxResults <= 0) return { answers: found };
+
+  if (fuzzy > 0) {
+    const fold = (s) => (caseSensitive ? s : s.toLowerCase());
+    const targets = tokens.map(fold);
+    for (const m of corpus.matchAll(WORD_RE)) {
+      const word = fold(m[0]);
+      if (targets.some((t) => editDistance(word, t, fuzzy) <= fuzzy)) found.push(m[0]);
+      if (found.length >= maxResults) break;
+    }
+    return { answers: found };
+  }
+
+  // Longest tokens first so "ab" wins over "a" at the same position
+  const alt = [...tokens].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|");
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}_])(?:${alt})(?![\\p{L}\\p{N}_])` : `(?:${alt})`;
+  const re = new RegExp(source, `gu${caseSensitive ? "" : "i"}`);
+  let m;
+  while ((m = re.exec(corpus)) && found.length < maxResults) {
+    found.push(m[0]);
+    if (m[0] === "") re.lastIndex++;
+  }
+  return { answers: found };
+}
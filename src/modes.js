@@ -0,0 +1,98 @@
+// Search modes: how a query is phrased to the model and how its answers are post-processed.
+// Contract:
+//   registerMode(name, definition) / getMode(name) / listModes()
+//   definition: {
+//     instructions: string,                                  // task description placed in the prompt
+//     examples?: { corpus: string, query: string, answers: string[] }[],  // few-shot examples
+//     normalize?: ((answer: string) -> string | null) | step[],  // canonicalize; null drops the answer
+//                                                            // (steps as in normalize.js, e.g. ['unicode', 'casefold'])
+//     validate?(answer: string, { corpus, query }) -> boolean,  // false drops the answer
+//     occursIn?(answer: string, corpus, index) -> boolean,   // the `verify` post-check (default: substring match)
+//     corpusIndex?(corpus) -> index,                         // built once per chunk for occursIn (e.g. a Set)
+//     dedupe?: boolean,                                      // keep only the first of equal answers
+//     fallback?(corpus, query, localOptions) -> string[]     // local extraction when the model output is unusable
+//     documents?: boolean,                                   // retrieval: answers are whole `content` documents
+//   }
+//   Built-in modes: 'url' (extract + canonicalize links), 'text' (occurrences, duplicates and order kept) and
+//   'documents' (which documents match, as { index, id?, score, reason, metadata? }, best first).
+
+import { MissingParameterError } from "./errors.js";
+import { localSearch, DEFAULT_MAX_RESULTS } from "./local.js";
+
+const modes = new Map();
+
+// Default fallback: the local matcher over the query's tokens
+export function tokenFallback(corpus, query, localOptions = {}) {
+  return localSearch({ ...localOptions, content: corpus, query }).answers;
+}
+
+const URL_RE = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCT_RE = /[.,;:!?'")\]}>]+$/;
+
+// Lowercases scheme and host, adds the root "/" to bare origins and keeps path, query and fragment as written.
+// Returns null for anything that is not an absolute http(s) URL.
+export function canonicalizeUrl(input) {
+  let s = String(input ?? "").trim().replace(/^[<("'[]+/, "");
+  // Strip sentence punctuation, but keep a closing paren that belongs to the URL
+  while (TRAILING_PUNCT_RE.test(s) && !(s.endsWith(")") && s.split("(").length === s.split(")").length)) s = s.slice(0, -1);
+  let url;
+  try { url = new URL(s); } catch { return null; }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  if (!url.hostname) return null;
+  // Rebuilt from the text rather than url.href, which would punycode the host, percent-encode the path and
+  // resolve ".." segments, so the answer would no longer read as it does in the corpus
+  const parts = /^(https?):\/\/([^/?#]*)(.*)$/is.exec(s);
+  if (!parts) return null;
+  const [, scheme, authority, rest] = parts;
+  const at = authority.lastIndexOf("@") + 1;
+  const host = authority.slice(0, at) + authority.slice(at).toLowerCase();
+  return `${scheme.toLowerCase()}://${host}${rest.startsWith("/") ? rest : `/${rest}`}`;
+}
+
+const corpusUrls = (corpus) => (String(corpus).match(URL_RE) || []).map(canonicalizeUrl).filter(Boolean);
+
+export function registerMode(name, definition) {
+  if (!name || typeof name !== "string") throw new MissingParameterError("mode name");
+  if (!definition || typeof definition.instructions !== "string") throw new Error(`Mode "${name}" needs instructions`);
+  modes.set(name, { name, examples: [], dedupe: false, ...definition });
+  return modes.get(name);
+}
+
+export function getMode(name) {
+  const mode = modes.get(name);
+  if (!mode) throw new Error(`Unknown mode: ${name}`);
+  return mode;
+}
+
+export function listModes() {
+  return [...modes.keys()];
+}
+
+registerMode("url", {
+  instructions: "Extract the URLs in the corpus that answer the user query. Copy each URL exactly as written in the corpus; never invent links.",
+  examples: [
+    { corpus: "Docs: https://nodejs.org/en/ Blog: https://example.com/post?id=1", query: "Node.js documentation", answers: ["https://nodejs.org/en/"] },
+  ],
+  normalize: canonicalizeUrl,
+  validate: (answer) => canonicalizeUrl(answer) !== null,
+  // Compared canonically, so "HTTPS://Example.com" is found as "https://example.com"
+  corpusIndex: (corpus) => new Set(corpusUrls(corpus)),
+  occursIn: (answer, corpus, urls = new Set(corpusUrls(corpus))) => urls.has(canonicalizeUrl(answer)),
+  dedupe: true,
+  fallback: (corpus, _query, { maxResults = DEFAULT_MAX_RESULTS } = {}) => corpusUrls(corpus).slice(0, maxResults),
+});
+
+registerMode("text", {
+  instructions: "Return every occurrence in the corpus that matches the user query, in corpus order, keeping duplicates.",
+  examples: [
+    { corpus: "ABcabCB", query: "B,c", answers: ["B", "c", "B"] },
+  ],
+  dedupe: false,
+  fallback: tokenFallback,
+});
+
+registerMode("documents", {
+  instructions: "Find the documents in the corpus that match the user query. The corpus is split into documents, each introduced by a [doc N] line; answer with the number N of every matching document, never with text from it.",
+  documents: true,
+  dedupe: true,
+});
@@ -0,0 +1,61 @@
+// Answer normalization: the steps every parsed string answer goes through before it is validated, verified
+// and de-duplicated.
+// Contract:
+//   NORMALIZERS: the built-in steps, each (answer: string) -> string | null (null drops the answer)
+//     trim         surrounding whitespace
+//     whitespace   runs of whitespace (newlines, tabs, NBSP) become one space; trimmed
+//     unicode      NFKC (full-width forms, ligatures, compatibility spaces) without zero-width characters
+//     casefold     lowercase, locale-independent
+//     punctuation  surrounding quotes, brackets and sentence punctuation; a bracket pair inside the answer stays
+//     url          canonicalizeUrl (modes.js); null for anything that is not an http(s) URL
+//   createNormalizer(steps) -> (answer) -> string | null  steps: step names or functions, applied in order;
+//     a function is returned as is. An empty result drops the answer.
+//   Error modes: throws TypeError on an unknown step name or a step that is neither a name nor a function.
+
+import { canonicalizeUrl } from "./modes.js";
+
+const ZERO_WIDTH_RE = /[\u200B-\u200D\u2060\uFEFF]/g;
+// Quotes, brackets and sentence punctuation; # @ % & / - and the like belong to the answer
+const EDGE_RE = /[\s\p{Ps}\p{Pe}\p{Pi}\p{Pf}"'`.,;:!?¡¿…*•·、。，；：！？]/u;
+const PAIRS = { "(": ")", "[": "]", "{": "}", "（": "）", "【": "】", "「": "」", "『": "』" };
+const CLOSERS = Object.fromEntries(Object.entries(PAIRS).map(([open, close]) => [close, open]));
+
+const count = (s, ch) => s.split(ch).length - 1;
+
+// A bracket at the edge stays when the answer holds as many of its partner, e.g. "f(x)" or "(see above)"
+function trimPunctuation(answer) {
+  let s = answer.trim();
+  for (;;) {
+    const last = s.at(-1);
+    if (last && EDGE_RE.test(last) && !(CLOSERS[last] && count(s, CLOSERS[last]) === count(s, last))) { s = s.slice(0, -1); continue; }
+    const first = s[0];
+    if (first && EDGE_RE.test(first) && !(PAIRS[first] && count(s, PAIRS[first]) === count(s, first))) { s = s.slice(1); continue; }
+    return s;
+  }
+}
+
+export const NORMALIZERS = Object.freeze({
+  trim: (s) => s.trim(),
+  whitespace: (s) => s.replace(/\s+/g, " ").trim(),
+  unicode: (s) => s.normalize("NFKC").replace(ZERO_WIDTH_RE, ""),
+  casefold: (s) => s.toLowerCase(),
+  punctuation: trimPunctuation,
+  url: canonicalizeUrl,
+});
+
+export function createNormalizer(steps) {
+  if (typeof steps === "function") return steps;
+  const fns = (Array.isArray(steps) ? steps : [steps]).map((step) => {
+    if (typeof step === "function") return step;
+    if (typeof step === "string" && Object.hasOwn(NORMALIZERS, step)) return NORMALIZERS[step];
+    throw new TypeError(`Unknown normalization step: ${step} (expected ${Object.keys(NORMALIZERS).join(" | ")} or a function)`);
+  });
+  return (answer) => {
+    let s = answer;
+    for (const fn of fns) {
+      s = fn(s);
+      if (typeof s !== "string" || !s) return null;
+    }
+    return s;
+  };
+}
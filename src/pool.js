@@ -0,0 +1,16 @@
+// Bounded-concurrency map. Results keep input order; a rejected worker yields { error } in its slot
+// instead of failing the whole pool.
+
+export async function promisePool(items, limit, worker) {
+  const results = new Array(items.length);
+  let idx = 0;
+  const run = async () => {
+    while (idx < items.length) {
+      const cur = idx++;
+      try { results[cur] = { value: await worker(items[cur], cur) }; } catch (error) { results[cur] = { error }; }
+    }
+  };
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, run);
+  await Promise.all(lanes);
+  return results;
+}
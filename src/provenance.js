@@ -0,0 +1,54 @@
+// Answer provenance: locate each answer verbatim in the original `content` documents.
+// Contract:
+//   locateAnswers(items, content, { snippetRadius }) -> Match[]
+//   items: { text: string, doc?: number, source?: string }[]
+//     (doc = index the model cited, if any; source = text as written by the model, searched instead of
+//      `text` when a mode has canonicalized it)
+//   Match: { text, docIndex, start, end, snippet, verified }
+//   - the cited document is searched first, then every document in order;
+//   - repeated answers map to successive occurrences, so multiset answers get distinct offsets;
+//   - an answer that cannot be found verbatim gets verified: false (possibly hallucinated)
+//     with docIndex/start/end set to null.
+
+import { normalizeContent } from "./chunking.js";
+
+export const DEFAULT_SNIPPET_RADIUS = 40;
+
+export function contentDocs(content) {
+  return normalizeContent(content).map((d) => d.text);
+}
+
+// Label each document part with its index so the model can cite it
+export function formatCitableCorpus(parts) {
+  return parts.map((p) => `[doc ${p.doc}]\n${p.text}`).join("\n\n");
+}
+
+export function locateAnswers(items, content, { snippetRadius = DEFAULT_SNIPPET_RADIUS } = {}) {
+  const docs = contentDocs(content);
+  const cursors = new Map();
+
+  const findIn = (docIndex, text) => {
+    const doc = docs[docIndex];
+    if (!doc) return -1;
+    const key = `${docIndex}\u0000${text}`;
+    const at = doc.indexOf(text, cursors.get(key) ?? 0);
+    if (at >= 0) cursors.set(key, at + Math.max(1, text.length));
+    return at;
+  };
+
+  return items.map(({ text, doc, source }) => {
+    const needle = source ?? text;
+    const order = Number.isInteger(doc) && doc >= 0 && doc < docs.length
+      ? [doc, ...docs.keys()].filter((d, i) => i === 0 || d !== doc)
+      : [...docs.keys()];
+    for (const docIndex of order) {
+      const start = findIn(docIndex, needle);
+      if (start < 0) continue;
+      const end = start + needle.length;
+      const body = docs[docIndex];
+      const snippet = body.slice(Math.max(0, start - snippetRadius), Math.min(body.length, end + snippetRadius));
+      return { text, docIndex, start, end, snippet, verified: true };
+    }
+    return { text, docIndex: null, start: null, end: null, snippet: null, verified: false };
+  });
+}
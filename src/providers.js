@@ -0,0 +1,241 @@
+// LLM providers for vibe-search.
+// Contract:
+//   provider: { name: string, model: string, generate(prompt, options), stream?(prompt, options) }
+//   generate options: { model?, maxTokens?, temperature?, topP?, topK?, stopSequences?, seed?, safetySettings?,
+//                       systemInstruction?, responseSchema?: JSONSchema }
+//     settings the backend has no equivalent for are ignored (OpenAI: topK, safetySettings)
+//     responseSchema asks for structured JSON output where the backend supports it
+//     signal?: AbortSignal aborts the request where the backend supports it
+//   generate resolves to: { text: string, usage?, finishReason?: string, model?: string, response?: any }
+//     usage = { promptTokens, outputTokens, totalTokens }; finishReason and model as reported by the backend
+//     (e.g. 'STOP' / 'MAX_TOKENS', 'stop' / 'length'); response = provider-native payload
+//     cachedContent?: string  a handle from cacheContext; the prompt then omits the cached corpus
+//   cacheContext?(text, { model, systemInstruction, ttlMs }) -> Promise<{ name, dispose() }>  (optional)
+//     uploads text once as cached context for later calls (Gemini context caching)
+//   embed?(texts: string[], { model, signal }) -> Promise<number[][]>  (optional) one embedding vector per text,
+//     with `embeddingModel` unless `model` is given; used by the vector pre-filter
+//   stream resolves (once the request is accepted) to an async iterable of deltas
+//     { text: string, usage?, finishReason?, model?, response?: any }
+//   Error modes: rejects with UpstreamError / RateLimitError on upstream API failure.
+
+import { GoogleGenAI } from "@google/genai";
+import { toGeminiSchema } from "./schema.js";
+import { MissingParameterError, ParseError, RateLimitError, UpstreamError, parseRetryAfter, toUpstreamError } from "./errors.js";
+
+export const DEFAULT_GEMINI_MODEL = "gemini-2.5-flash";
+export const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+export const DEFAULT_GEMINI_EMBEDDING_MODEL = "text-embedding-004";
+export const DEFAULT_OPENAI_EMBEDDING_MODEL = "text-embedding-3-small";
+
+function geminiUsage(meta) {
+  if (!meta) return undefined;
+  return { promptTokens: meta.promptTokenCount ?? 0, outputTokens: meta.candidatesTokenCount ?? 0, totalTokens: meta.totalTokenCount ?? 0 };
+}
+
+function openaiUsage(usage) {
+  if (!usage) return undefined;
+  return { promptTokens: usage.prompt_tokens ?? 0, outputTokens: usage.completion_tokens ?? 0, totalTokens: usage.total_tokens ?? 0 };
+}
+
+const defined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+const responseText = (response) => (typeof response?.text === "function" ? response.text() : (response?.text ?? ""));
+
+// generate result / stream delta for one Gemini response
+function geminiResult(response) {
+  return {
+    text: responseText(response),
+    usage: geminiUsage(response?.usageMetadata),
+    finishReason: response?.candidates?.[0]?.finishReason,
+    model: response?.modelVersion,
+    response,
+  };
+}
+
+// `client` replaces the GoogleGenAI instance (anything with models.generateContent / generateContentStream),
+// e.g. a fake in tests; apiKey is then optional.
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL, embeddingModel = DEFAULT_GEMINI_EMBEDDING_MODEL, client } = {}) {
+  if (!apiKey && !client) throw new MissingParameterError("apiKey");
+  const ai = client ?? new GoogleGenAI({ apiKey });
+
+  // @google/genai reads every generation setting from `config`
+  // With cachedContent the system instruction already lives in the cache and must not be sent again
+  const request = (prompt, { model: m = model, maxTokens = 2048, temperature = 0.2, topP, topK, stopSequences, seed, safetySettings, systemInstruction, cachedContent, responseSchema } = {}) => ({
+    model: m,
+    contents: prompt,
+    config: defined({
+      cachedContent,
+      maxOutputTokens: maxTokens,
+      temperature,
+      topP,
+      topK,
+      stopSequences,
+      seed,
+      safetySettings,
+      systemInstruction: cachedContent ? undefined : systemInstruction,
+      ...(responseSchema ? { responseMimeType: "application/json", responseSchema: toGeminiSchema(responseSchema) } : {}),
+    }),
+  });
+
+  return {
+    name: "gemini",
+    model,
+    embeddingModel,
+    // @google/genai 0.3 takes no AbortSignal; callers stop waiting via withRetry instead
+    async generate(prompt, options) {
+      let response;
+      try {
+        response = await ai.models.generateContent(request(prompt, options));
+      } catch (err) {
+        throw toUpstreamError(err, { provider: "gemini" });
+      }
+      return geminiResult(response);
+    },
+    async cacheContext(text, { model: m = model, systemInstruction, ttlMs } = {}) {
+      let cached;
+      try {
+        cached = await ai.caches.create({
+          model: m,
+          config: defined({ contents: text, systemInstruction, ttl: ttlMs ? `${Math.ceil(ttlMs / 1000)}s` : undefined }),
+        });
+      } catch (err) {
+        throw toUpstreamError(err, { provider: "gemini" });
+      }
+      return { name: cached.name, dispose: () => ai.caches.delete({ name: cached.name }) };
+    },
+    async embed(texts, { model: m = embeddingModel } = {}) {
+      let response;
+      try {
+        response = await ai.models.embedContent({ model: m, contents: texts });
+      } catch (err) {
+        throw toUpstreamError(err, { provider: "gemini" });
+      }
+      return (response?.embeddings ?? []).map((e) => e.values ?? []);
+    },
+    async stream(prompt, options = {}) {
+      let chunks;
+      try {
+        chunks = await ai.models.generateContentStream(request(prompt, options));
+      } catch (err) {
+        throw toUpstreamError(err, { provider: "gemini" });
+      }
+      return (async function* () {
+        try {
+          for await (const response of chunks) {
+            options.signal?.throwIfAborted();
+            yield geminiResult(response);
+          }
+        } catch (err) {
+          throw options.signal?.aborted ? err : toUpstreamError(err, { provider: "gemini" });
+        }
+      })();
+    },
+  };
+}
+
+// Works with any server speaking the OpenAI chat-completions protocol
+// (OpenAI, Azure-style gateways, Ollama, vLLM, LM Studio, local stubs).
+// responseFormat: 'json_schema' (default) sends the schema, 'json_object' only asks for JSON,
+// false sends nothing for servers that reject response_format.
+export function createOpenAIProvider({ apiKey, model, embeddingModel = DEFAULT_OPENAI_EMBEDDING_MODEL, baseUrl = DEFAULT_OPENAI_BASE_URL, headers = {}, fetch: fetchImpl = globalThis.fetch, responseFormat = "json_schema" } = {}) {
+  if (!model) throw new MissingParameterError("model");
+  if (typeof fetchImpl !== "function") throw new MissingParameterError("fetch implementation");
+  const base = String(baseUrl).replace(/\/+$/, "");
+  const endpoint = `${base}/chat/completions`;
+
+  const body = (prompt, { model: m = model, maxTokens = 2048, temperature = 0.2, topP, stopSequences, seed, systemInstruction, responseSchema } = {}) => {
+    const format = !responseSchema || !responseFormat ? undefined
+      : responseFormat === "json_object" ? { type: "json_object" }
+      : { type: "json_schema", json_schema: { name: "search_results", schema: responseSchema } };
+    return defined({
+      model: m,
+      messages: [...(systemInstruction ? [{ role: "system", content: systemInstruction }] : []), { role: "user", content: prompt }],
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      stop: stopSequences,
+      seed,
+      response_format: format,
+    });
+  };
+
+  async function post(payload, signal, url = endpoint) {
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        method: "POST",
+        signal,
+        headers: {
+          "content-type": "application/json",
+          ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+          ...headers,
+        },
+        body: JSON.stringify(payload),
+      });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      throw new UpstreamError(`API request failed: ${err?.message ?? err}`, { provider: "openai", retryable: true, cause: err });
+    }
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      const message = `API request failed: ${res.status} ${res.statusText}${detail ? ` - ${detail.slice(0, 500)}` : ""}`;
+      const retryAfterMs = parseRetryAfter(res.headers?.get?.("retry-after"));
+      if (res.status === 429) throw new RateLimitError(message, { retryAfterMs, provider: "openai" });
+      throw new UpstreamError(message, { status: res.status, retryAfterMs, provider: "openai" });
+    }
+    return res;
+  }
+
+  const json = async (res) => {
+    const raw = await res.text();
+    try { return JSON.parse(raw); } catch (err) {
+      throw new ParseError("API response is not valid JSON", { raw, cause: err });
+    }
+  };
+
+  return {
+    name: "openai",
+    model,
+    embeddingModel,
+    async generate(prompt, options = {}) {
+      const response = await json(await post(body(prompt, options), options.signal));
+      const choice = response?.choices?.[0];
+      return { text: choice?.message?.content ?? "", usage: openaiUsage(response?.usage), finishReason: choice?.finish_reason ?? undefined, model: response?.model, response };
+    },
+    // POST /embeddings; vectors come back tagged with their input index
+    async embed(texts, { model: m = embeddingModel, signal } = {}) {
+      const response = await json(await post({ model: m, input: texts }, signal, `${base}/embeddings`));
+      return [...(response?.data ?? [])].sort((x, y) => (x.index ?? 0) - (y.index ?? 0)).map((d) => d.embedding ?? []);
+    },
+    // Server-sent events: `data: {chunk}` lines, terminated by `data: [DONE]`
+    async stream(prompt, options = {}) {
+      const res = await post({ ...body(prompt, options), stream: true, stream_options: { include_usage: true } }, options.signal);
+      if (!res.body) throw new UpstreamError("API response has no body to stream", { provider: "openai", retryable: false });
+      return (async function* () {
+        const decoder = new TextDecoder();
+        let buffered = "";
+        try {
+          for await (const bytes of res.body) {
+            buffered += decoder.decode(bytes, { stream: true });
+            const lines = buffered.split(/\r?\n/);
+            buffered = lines.pop();
+            for (const line of lines) {
+              const data = /^data:\s?(.*)$/.exec(line)?.[1];
+              if (data === undefined || data === "") continue;
+              if (data === "[DONE]") return;
+              let response;
+              try { response = JSON.parse(data); } catch (err) {
+                throw new ParseError("Stream event is not valid JSON", { raw: data, cause: err });
+              }
+              const choice = response?.choices?.[0];
+              yield { text: choice?.delta?.content ?? "", usage: openaiUsage(response?.usage), finishReason: choice?.finish_reason ?? undefined, model: response?.model, response };
+            }
+          }
+        } catch (err) {
+          if (options.signal?.aborted || err instanceof ParseError) throw err;
+          throw new UpstreamError(`API stream failed: ${err?.message ?? err}`, { provider: "openai", retryable: true, cause: err });
+        }
+      })();
+    },
+  };
+}
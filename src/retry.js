@@ -0,0 +1,70 @@
+// Timeouts, cancellation and retries around a single model call.
+// Contract:
+//   withRetry((signal) => Promise, { retries, retryDelayMs, maxRetryDelayMs, timeoutMs, signal, provider, onRetry })
+//   - every attempt gets its own AbortSignal, aborted on timeout or when the caller's `signal` aborts;
+//   - the attempt promise is also raced against that signal, so SDKs that ignore signals still stop waiting;
+//   - failures are mapped with toUpstreamError; retryable ones (408, 429, 5xx, network, timeout) are retried
+//     with exponential backoff and full jitter, waiting at least the server's retry-after hint;
+//   - a retry-after hint longer than maxRetryDelayMs is not waited out: the error is thrown at once;
+//   - cancellation rejects with the caller's abort reason and is never retried.
+
+import { TimeoutError, toUpstreamError } from "./errors.js";
+
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY_MS = 500;
+export const DEFAULT_MAX_RETRY_DELAY_MS = 20000;
+
+function abortReason(signal) {
+  return signal.reason ?? Object.assign(new Error("The operation was aborted"), { name: "AbortError" });
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortReason(signal));
+    const timer = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(timer); reject(abortReason(signal)); };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+async function attempt(fn, { timeoutMs, signal, provider }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(abortReason(signal));
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = timeoutMs > 0
+    ? setTimeout(() => controller.abort(new TimeoutError(`Model call timed out after ${timeoutMs}ms`, { provider })), timeoutMs)
+    : null;
+  try {
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+    });
+    const call = Promise.resolve().then(() => fn(controller.signal));
+    call.catch(() => {}); // a call abandoned on abort may still reject later
+    return await Promise.race([call, aborted]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+export function backoffDelay(n, { retryDelayMs = DEFAULT_RETRY_DELAY_MS, maxRetryDelayMs = DEFAULT_MAX_RETRY_DELAY_MS, retryAfterMs } = {}) {
+  const ceiling = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** n);
+  const jittered = Math.random() * ceiling;
+  return retryAfterMs != null ? Math.max(retryAfterMs, jittered) : jittered;
+}
+
+export async function withRetry(fn, { retries = DEFAULT_RETRIES, retryDelayMs, maxRetryDelayMs = DEFAULT_MAX_RETRY_DELAY_MS, timeoutMs, signal, provider, onRetry } = {}) {
+  for (let n = 0; ; n++) {
+    if (signal?.aborted) throw abortReason(signal);
+    try {
+      return await attempt(fn, { timeoutMs, signal, provider });
+    } catch (err) {
+      if (signal?.aborted) throw abortReason(signal);
+      const error = toUpstreamError(err, { provider });
+      if (!error.retryable || n >= retries || error.retryAfterMs > maxRetryDelayMs) throw error;
+      const delay = backoffDelay(n, { retryDelayMs, maxRetryDelayMs, retryAfterMs: error.retryAfterMs });
+      onRetry?.({ attempt: n + 1, delayMs: delay, error });
+      await sleep(delay, signal);
+    }
+  }
+}
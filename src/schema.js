@@ -0,0 +1,223 @@
+// Structured output: response schemas, a small JSON Schema validator and a tolerant JSON parser.
+// Contract:
+//   responseSchema(answerSchema, { cite, rank }) -> JSON Schema for { answers: answerSchema[] }
+//     (cite adds a `doc` index per answer, rank a relevance `score` in [0, 1] and a `reason`)
+//   validate(value, schema) -> string[]  (error messages, empty when valid)
+//   parseJson(text) -> any[]  (every JSON object/array candidate found in text, best first)
+//   parseAnswers(text, schema, { coerce }) -> { answers, errors } | null  (first candidate shaped like the response schema;
+//     answers failing the item schema are dropped and reported in errors; null when nothing usable was found)
+//   batchResponseSchema(answerSchema, ids, { cite, rank }) -> JSON Schema for { results: { [id]: answerSchema[] } }
+//   parseBatchAnswers(text, schema, { coerce }) -> { answers: { [id]: any[] }, errors } | null  (same rules per id;
+//     an id the model left out gets no answers and an error)
+//   toGeminiSchema(schema) -> schema in the Gemini OpenAPI subset (uppercase types, no unsupported keywords)
+//   Supported keywords: type (incl. arrays of types), properties, required, items, enum,
+//   additionalProperties: false, minItems, maxItems, minLength, minimum, maximum.
+
+export const STRING_ANSWER = { type: "string", minLength: 1 };
+
+export const SCORE = { type: "number", minimum: 0, maximum: 1 };
+
+// Document retrieval answers: the [doc N] number of a matching document (ranked, so score and reason are added)
+export const DOCUMENT_ANSWER = { type: "object", properties: { doc: { type: "integer", minimum: 0 } }, required: ["doc"] };
+
+// Per-answer fields added around the answer: { ..., doc } to cite a source document, { ..., score, reason } to rank
+function annotated(answerSchema, { cite, rank }) {
+  if (!cite && !rank) return answerSchema;
+  const extra = { ...(cite ? { doc: { type: "integer" } } : {}), ...(rank ? { score: SCORE, reason: { type: "string" } } : {}) };
+  const required = [...(cite ? ["doc"] : []), ...(rank ? ["score"] : [])];
+  if (answerSchema.type === "object") {
+    return { ...answerSchema, properties: { ...answerSchema.properties, ...extra }, required: [...(answerSchema.required || []), ...required] };
+  }
+  return { type: "object", properties: { text: answerSchema, ...extra }, required: ["text", ...required] };
+}
+
+export function responseSchema(answerSchema = STRING_ANSWER, { cite = false, rank = false } = {}) {
+  return {
+    type: "object",
+    properties: { answers: { type: "array", items: annotated(answerSchema, { cite, rank }) } },
+    required: ["answers"],
+  };
+}
+
+export function batchResponseSchema(answerSchema = STRING_ANSWER, ids = [], { cite = false, rank = false } = {}) {
+  const list = responseSchema(answerSchema, { cite, rank }).properties.answers;
+  return {
+    type: "object",
+    properties: {
+      results: { type: "object", properties: Object.fromEntries(ids.map((id) => [id, list])), required: [...ids] },
+    },
+    required: ["results"],
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+export function validate(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+  const actual = typeOf(value);
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const ok = allowed.some((t) => t === actual || (t === "number" && actual === "integer"));
+    if (!ok) return [`${path}: expected ${allowed.join("|")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.some((e) => e === value)) errors.push(`${path}: not one of ${JSON.stringify(schema.enum)}`);
+  if (actual === "string" && schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+  if (actual === "number" || actual === "integer") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+  if (actual === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(v, schema.items, `${path}[${i}]`)));
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) if (!(key in value)) errors.push(`${path}.${key}: required`);
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) errors.push(...validate(v, props[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+  return errors;
+}
+
+// Balanced {...} / [...] spans, skipping brackets inside strings
+function jsonSpans(text) {
+  const spans = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== "{" && text[i] !== "[") continue;
+    const stack = [];
+    let inStr = false;
+    for (let j = i; j < text.length; j++) {
+      const c = text[j];
+      if (inStr) {
+        if (c === "\\") j++;
+        else if (c === '"') inStr = false;
+        continue;
+      }
+      if (c === '"') inStr = true;
+      else if (c === "{" || c === "[") stack.push(c);
+      else if (c === "}" || c === "]") {
+        const open = stack.pop();
+        if ((c === "}" && open !== "{") || (c === "]" && open !== "[")) break;
+        if (!stack.length) { spans.push(text.slice(i, j + 1)); i = j; break; }
+      }
+    }
+  }
+  return spans;
+}
+
+const CLOSING_RE = /\s*[}\]]/y;
+
+// Near-JSON repairs outside string literals: trailing commas, smart quotes used as string delimiters.
+// What is inside a string stays as written, so an answer holding ",]" or quotes still matches the corpus.
+function repair(text) {
+  let out = "";
+  let close = null; // delimiters that end the open string
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (close) {
+      if (c === "\\") { out += c + (text[i + 1] ?? ""); i++; }
+      else if (close.includes(c)) { out += '"'; close = null; }
+      else out += c === '"' ? '\\"' : c; // a plain quote inside a smart-quoted string
+      continue;
+    }
+    if (c === '"') close = '"';
+    else if (c === "“" || c === "”") close = "”“";
+    else if (c === "," && ((CLOSING_RE.lastIndex = i + 1), CLOSING_RE.test(text))) continue;
+    out += close ? '"' : c;
+  }
+  return out;
+}
+
+function tryParse(text) {
+  try { return { ok: true, value: JSON.parse(text) }; } catch { return { ok: false }; }
+}
+
+export function parseJson(text) {
+  const source = String(text ?? "").trim();
+  const whole = tryParse(source);
+  if (whole.ok) return [whole.value];
+
+  const fenced = [...source.matchAll(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/g)].map((m) => m[1].trim());
+  const candidates = [...fenced, ...jsonSpans(source)];
+  const out = [];
+  for (const c of candidates) {
+    const parsed = tryParse(c);
+    if (parsed.ok) { out.push(parsed.value); continue; }
+    const repaired = tryParse(repair(c));
+    if (repaired.ok) out.push(repaired.value);
+  }
+  return out;
+}
+
+export function parseAnswers(text, schema, { coerce = (a) => a } = {}) {
+  const itemSchema = schema?.properties?.answers?.items;
+  for (const candidate of parseJson(text)) {
+    const value = Array.isArray(candidate) ? { answers: candidate } : candidate;
+    if (!value || !Array.isArray(value.answers)) continue;
+    const answers = [];
+    const errors = [];
+    value.answers.map(coerce).forEach((a, i) => {
+      const errs = validate(a, itemSchema, `$.answers[${i}]`);
+      if (errs.length) errors.push(...errs); else answers.push(a);
+    });
+    return { answers, errors };
+  }
+  return null;
+}
+
+export function parseBatchAnswers(text, schema, { coerce = (a) => a } = {}) {
+  const lists = schema?.properties?.results?.properties ?? {};
+  for (const candidate of parseJson(text)) {
+    const results = candidate?.results ?? candidate;
+    if (!results || typeof results !== "object" || Array.isArray(results)) continue;
+    if (!Object.keys(lists).some((id) => Array.isArray(results[id]))) continue;
+    const answers = {};
+    const errors = [];
+    for (const [id, listSchema] of Object.entries(lists)) {
+      answers[id] = [];
+      if (!Array.isArray(results[id])) { errors.push(`$.results.${id}: missing`); continue; }
+      results[id].map(coerce).forEach((a, i) => {
+        const errs = validate(a, listSchema.items, `$.results.${id}[${i}]`);
+        if (errs.length) errors.push(...errs); else answers[id].push(a);
+      });
+    }
+    return { answers, errors };
+  }
+  return null;
+}
+
+const GEMINI_KEYS = new Set(["type", "format", "description", "nullable", "enum", "properties", "required", "items", "minItems", "maxItems", "minLength", "minimum", "maximum"]);
+// int64 fields travel as strings in the Gemini schema
+const GEMINI_INT64_KEYS = new Set(["minItems", "maxItems", "minLength"]);
+
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_KEYS.has(key)) continue;
+    if (key === "type") {
+      const types = Array.isArray(value) ? value : [value];
+      const nonNull = types.filter((t) => t !== "null");
+      out.type = String(nonNull[0] ?? "string").toUpperCase();
+      if (nonNull.length !== types.length) out.nullable = true;
+    } else if (key === "properties") {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toGeminiSchema(v)]));
+    } else if (key === "items") {
+      out.items = toGeminiSchema(value);
+    } else if (GEMINI_INT64_KEYS.has(key)) {
+      out[key] = String(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
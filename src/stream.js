@@ -0,0 +1,69 @@
+// Incremental parser for streamed model output shaped like { "answers": [ ... ] }.
+// Contract:
+//   const parser = createAnswerParser();
+//   parser.push(delta) -> any[]   answers completed by this delta, in order (strings, objects, ...)
+//   parser.found                   true once the "answers" array has been seen
+//   parser.done                    true once the array has been closed
+//   Text before the array (prose, code fences) is skipped; an element that does not parse is dropped.
+
+const ANSWERS_START = /"answers"\s*:\s*\[/;
+
+// End index (exclusive) of the JSON value starting at `i`, or -1 if it is not complete yet
+function valueEnd(buf, i) {
+  const c = buf[i];
+  if (c === '"') {
+    for (let j = i + 1; j < buf.length; j++) {
+      if (buf[j] === "\\") j++;
+      else if (buf[j] === '"') return j + 1;
+    }
+    return -1;
+  }
+  if (c === "{" || c === "[") {
+    let depth = 0;
+    let inStr = false;
+    for (let j = i; j < buf.length; j++) {
+      const d = buf[j];
+      if (inStr) {
+        if (d === "\\") j++;
+        else if (d === '"') inStr = false;
+      } else if (d === '"') inStr = true;
+      else if (d === "{" || d === "[") depth++;
+      else if (d === "}" || d === "]") { if (--depth === 0) return j + 1; }
+    }
+    return -1;
+  }
+  // number / true / false / null: complete once a delimiter follows
+  const m = /[,\]\s}]/.exec(buf.slice(i));
+  return m ? i + m.index : -1;
+}
+
+export function createAnswerParser() {
+  let buf = "";
+  let pos = -1;
+  const parser = {
+    found: false,
+    done: false,
+    push(delta) {
+      buf += delta;
+      const out = [];
+      if (parser.done) return out;
+      if (!parser.found) {
+        const m = ANSWERS_START.exec(buf);
+        if (!m) return out;
+        parser.found = true;
+        pos = m.index + m[0].length;
+      }
+      while (pos < buf.length) {
+        const c = buf[pos];
+        if (c === "," || /\s/.test(c)) { pos++; continue; }
+        if (c === "]") { parser.done = true; pos++; break; }
+        const end = valueEnd(buf, pos);
+        if (end < 0) break;
+        try { out.push(JSON.parse(buf.slice(pos, end))); } catch { /* malformed element: skip it */ }
+        pos = end;
+      }
+      return out;
+    },
+  };
+  return parser;
+}
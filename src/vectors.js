@@ -0,0 +1,126 @@
+// Semantic retrieval: corpus documents embedded into an in-memory vector index, used to pre-filter `content`
+// by meaning (paraphrases, other languages) before the model is called.
+// Contract:
+//   embed(texts: string[], { signal? }) -> Promise<number[][]>  one vector per text, in order
+//     (provider.embed, or any function: a local model, a deterministic stand-in in tests)
+//   createVectorIndex({ embed, model = 'embed', store, batchSize = 64 }) -> index
+//     index.upsert(docs: { id, text }[]) -> Promise<{ embedded, reused }>  adds or replaces documents by id; texts the
+//       index or its store already hold are not embedded again (`embedded` counts the texts sent to `embed`)
+//     index.remove(ids) ; index.has(id) ; index.size
+//     index.query(text, { limit = Infinity, ids? }) -> Promise<{ id, score }[]>  cosine similarity, best first, ties in
+//       insertion order; `ids` restricts the candidates
+//   store: a cache (cache.js) holding vectors under cacheKey({ embedding: model, text }); with createFileCache the
+//     vectors persist across processes, so a stable corpus is embedded once. `model` names the embedding space:
+//     vectors of different models never mix. Store failures are misses, as for response caches.
+//   vectorPrefilter(docs, queries, { topN = 20, index }) -> Promise<{ kept: number[], embedded }>
+//     like prefilterDocuments (bm25.js): docs are { index, id?, text }[], keyed in the index by `id ?? index`.
+//   Error modes: throws MissingParameterError without embed; rejects with the embed function's error, or a
+//   TypeError when it returns something other than one vector per text.
+
+import { MissingParameterError } from "./errors.js";
+import { cacheKey } from "./cache.js";
+import { DEFAULT_PREFILTER_TOP_N } from "./bm25.js";
+
+export const DEFAULT_EMBED_BATCH = 64;
+
+const isVector = (v) => Array.isArray(v) && v.length > 0 && v.every(Number.isFinite);
+const norm = (v) => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0)) || 1;
+
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < Math.min(a.vector.length, b.vector.length); i++) dot += a.vector[i] * b.vector[i];
+  return dot / (a.norm * b.norm);
+}
+
+export function createVectorIndex({ embed, model = "embed", store, batchSize = DEFAULT_EMBED_BATCH } = {}) {
+  if (typeof embed !== "function") throw new MissingParameterError("embed");
+  const entries = new Map(); // id -> { text, vector, norm }
+  const known = new Map(); // text -> { vector, norm, refs }: the vectors of indexed texts, so re-upserts embed nothing
+  const size = Math.max(1, Math.floor(batchSize) || 1);
+
+  const stored = async (text) => {
+    try { return await store.get(await cacheKey({ embedding: model, text })); } catch { return undefined; }
+  };
+  const release = (entry) => {
+    const k = entry && known.get(entry.text);
+    if (k && --k.refs <= 0) known.delete(entry.text);
+  };
+
+  // texts -> their { vector, norm }, embedding only the ones neither indexed nor stored
+  async function vectors(texts, signal) {
+    const found = new Map();
+    const missing = [];
+    for (const text of new Set(texts)) {
+      const value = known.get(text)?.vector ?? (store ? await stored(text) : undefined);
+      if (isVector(value)) found.set(text, { vector: value, norm: norm(value) }); else missing.push(text);
+    }
+    for (let i = 0; i < missing.length; i += size) {
+      const batch = missing.slice(i, i + size);
+      const got = await embed(batch, { signal });
+      if (!Array.isArray(got) || got.length !== batch.length || !got.every(isVector)) {
+        throw new TypeError(`embed must resolve to one vector per text (got ${Array.isArray(got) ? got.length : typeof got} for ${batch.length})`);
+      }
+      for (const [j, text] of batch.entries()) {
+        found.set(text, { vector: got[j], norm: norm(got[j]) });
+        if (!store) continue;
+        try { await store.set(await cacheKey({ embedding: model, text }), got[j]); } catch { /* a broken write is ignored */ }
+      }
+    }
+    return { found, embedded: missing.length };
+  }
+
+  return {
+    get size() {
+      return entries.size;
+    },
+    has(id) {
+      return entries.has(id);
+    },
+    async upsert(docs, { signal } = {}) {
+      const texts = docs.map((d) => String(d.text ?? ""));
+      const { found, embedded } = await vectors(texts, signal);
+      docs.forEach((d, i) => {
+        const text = texts[i];
+        if (entries.get(d.id)?.text === text) return;
+        release(entries.get(d.id));
+        entries.delete(d.id);
+        const k = known.get(text) ?? { ...found.get(text), refs: 0 };
+        k.refs++;
+        known.set(text, k);
+        entries.set(d.id, { text, vector: k.vector, norm: k.norm });
+      });
+      return { embedded, reused: new Set(texts).size - embedded };
+    },
+    remove(ids) {
+      for (const id of ids) {
+        release(entries.get(id));
+        entries.delete(id);
+      }
+    },
+    async query(text, { limit = Infinity, ids, signal } = {}) {
+      const query = String(text ?? "");
+      const q = (await vectors([query], signal)).found.get(query);
+      const allowed = ids && new Set(ids);
+      return [...entries]
+        .filter(([id]) => !allowed || allowed.has(id))
+        .map(([id, entry]) => ({ id, score: cosine(q, entry) }))
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+export async function vectorPrefilter(docs, queries, { topN = DEFAULT_PREFILTER_TOP_N, index, signal } = {}) {
+  const present = docs.filter((d) => d.text);
+  if (present.length <= topN) return { kept: present.map((d) => d.index), embedded: 0 };
+  const key = (d) => d.id ?? d.index;
+  const byKey = new Map();
+  for (const d of present) byKey.set(key(d), [...(byKey.get(key(d)) ?? []), d.index]);
+  // Unchanged texts are already in the index (or its store) and are not embedded again
+  const { embedded } = await index.upsert(present.map((d) => ({ id: key(d), text: d.text })), { signal });
+  const kept = new Set();
+  for (const query of queries) {
+    for (const hit of await index.query(query, { limit: topN, ids: [...byKey.keys()], signal })) for (const i of byKey.get(hit.id)) kept.add(i);
+  }
+  return { kept: [...kept].sort((x, y) => x - y), embedded };
+}